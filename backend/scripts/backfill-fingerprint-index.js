@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Fingerprint Index Backfill Script
+ * Builds fingerprint_index entries for files fingerprinted before the index existed
+ *
+ * Usage:
+ *   node scripts/backfill-fingerprint-index.js [--verify] [--sample <n>]
+ *
+ * --verify compares indexed candidate lookup with the full-table scan for a
+ * sample of files and lists any above-threshold match the index missed.
+ */
+
+require('dotenv').config();
+const pool = require('../src/config/db');
+const redis = require('../src/config/redis');
+const fingerprintQueue = require('../src/jobs/queue');
+const fingerprintService = require('../src/modules/audio/fingerprint.service');
+const similarityService = require('../src/modules/audio/similarity.service');
+const settingsService = require('../src/modules/settings/settings.service');
+const fingerprintEngines = require('../src/modules/audio/fingerprint.engines');
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+async function matchIds(row, mode, threshold) {
+  const engine = {
+    ...fingerprintEngines.getEngine(row.fingerprint_engine),
+    version: row.fingerprint_engine_version
+  };
+  const candidates = await similarityService.loadCandidates(
+    row.id,
+    row.raw_fingerprint,
+    engine,
+    mode
+  );
+
+  return candidates
+    .filter(candidate =>
+      engine.compare(row.raw_fingerprint, candidate.raw_fingerprint, threshold)
+    )
+    .map(candidate => candidate.id);
+}
+
+async function verify(sampleSize) {
+  const { threshold } = await settingsService.getSimilaritySettings();
+  const { rows } = await pool.query(
+    `SELECT id, raw_fingerprint, original_filename,
+            fingerprint_engine, fingerprint_engine_version
+     FROM audio_files
+     WHERE raw_fingerprint IS NOT NULL AND fingerprint_engine IS NOT NULL
+     ORDER BY random()
+     LIMIT $1`,
+    [sampleSize]
+  );
+
+  let missed = 0;
+
+  for (const row of rows) {
+    const scanned = await matchIds(row, 'scan', threshold);
+    const indexed = new Set(await matchIds(row, 'index', threshold));
+    const missing = scanned.filter(id => !indexed.has(id));
+
+    if (missing.length > 0) {
+      missed += missing.length;
+      console.log(`[MISS] ${row.original_filename} (${row.id}): ${missing.join(', ')}`);
+    }
+  }
+
+  console.log(`[VERIFY] ${rows.length} file(s) checked, ${missed} match(es) missed by the index`);
+  return missed;
+}
+
+async function main() {
+  const indexed = await fingerprintService.backfillIndex();
+  console.log(`[BACKFILL] ${indexed} file(s) indexed`);
+
+  if (process.argv.includes('--verify')) {
+    const missed = await verify(parseInt(getArg('--sample', '50'), 10));
+    process.exitCode = missed > 0 ? 1 : 0;
+  }
+}
+
+main()
+  .catch(err => {
+    console.error(`[ERROR] ${err.message}`);
+    process.exitCode = 1;
+  })
+  // The services load the queue and the shared Redis connection; close them too
+  // or the script never exits
+  .finally(async () => {
+    await Promise.allSettled([pool.end(), fingerprintQueue.close()]);
+    redis.disconnect();
+  });
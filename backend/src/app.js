@@ -5,10 +5,36 @@ const logger = require('./modules/logging/logger');
 const rateLimiter = require('./middleware/rateLimiter');
 const errorHandler = require('./middleware/errorHandler');
 const uploadRoutes = require('./modules/upload/upload.routes');
+const settingsRoutes = require('./modules/settings/settings.routes');
+const audioRoutes = require('./modules/audio/audio.routes');
+const eventsRoutes = require('./modules/events/events.routes');
 
 const app = express();
 
-app.use(cors());
+/**
+ * TRUST_PROXY is passed to Express' `trust proxy` setting: a hop count (e.g. 1),
+ * true/false, or addresses/subnets (e.g. loopback, 10.0.0.0/8). Behind a reverse
+ * proxy it must be set, or every client shares the proxy's req.ip and with it
+ * the per-client rate and event stream limits.
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+app.use(
+  cors({
+    // Resumable upload progress and ranged audio downloads are reported through these headers
+    exposedHeaders: [
+      'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+      'Content-Range', 'Accept-Ranges', 'ETag', 'Content-Disposition'
+    ]
+  })
+);
 app.use(express.json());
 app.use(
   pinoHttp({
@@ -27,6 +53,9 @@ app.get('/health', (req, res) => {
 });
 
 app.use('/upload', uploadRoutes);
+app.use('/settings', settingsRoutes);
+app.use('/audio', audioRoutes);
+app.use('/events', eventsRoutes);
 app.use(errorHandler);
 
 module.exports = app;
\ No newline at end of file
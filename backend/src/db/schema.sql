@@ -11,7 +11,7 @@ CREATE TABLE IF NOT EXISTS audio_files (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
-CREATE TABLE upload_attempts (
+CREATE TABLE IF NOT EXISTS upload_attempts (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     content_hash TEXT,
     was_duplicate BOOLEAN,
@@ -27,4 +27,176 @@ CREATE TABLE IF NOT EXISTS similarity_warnings (
     similarity_percent NUMERIC,
     created_at TIMESTAMP DEFAULT NOW(),
     UNIQUE(audio_id_a, audio_id_b)
-);
\ No newline at end of file
+);
+
+-- Raw Chromaprint sub-fingerprints used for offset-aligned scoring
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS raw_fingerprint INTEGER[];
+
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS offset_seconds NUMERIC;
+
+-- Match kind ('similar' or 'excerpt_of') and the matched time range in each file
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS match_kind TEXT DEFAULT 'similar';
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS start_seconds_a NUMERIC;
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS end_seconds_a NUMERIC;
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS start_seconds_b NUMERIC;
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS end_seconds_b NUMERIC;
+
+-- Inverted index of quantized sub-fingerprints for candidate lookup
+CREATE TABLE IF NOT EXISTS fingerprint_index (
+    hash_key INTEGER NOT NULL,
+    audio_id UUID NOT NULL REFERENCES audio_files(id) ON DELETE CASCADE,
+    PRIMARY KEY (hash_key, audio_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fingerprint_index_audio_id ON fingerprint_index(audio_id);
+
+-- Number of files matched on the last similarity check and the best-scoring one
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS match_count INTEGER DEFAULT 0;
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS best_match_id UUID REFERENCES audio_files(id) ON DELETE SET NULL;
+
+-- Runtime-editable settings (JSON per key), e.g. similarity tiers
+CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Similarity tier of each warning: identical, likely_duplicate or possible
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS tier TEXT;
+
+-- Engine that produced perceptual_hash/raw_fingerprint; only same-engine fingerprints are compared
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_engine TEXT;
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_engine_version TEXT;
+
+-- SHA-256 of the audio payload only (ID3/APE tags, FLAC metadata, MP4 moov, RIFF LIST skipped)
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS audio_content_hash TEXT UNIQUE;
+
+-- Technical details and common tags parsed on ingest
+CREATE TABLE IF NOT EXISTS audio_metadata (
+    audio_id UUID PRIMARY KEY REFERENCES audio_files(id) ON DELETE CASCADE,
+    container TEXT,
+    codec TEXT,
+    bitrate INTEGER,
+    sample_rate INTEGER,
+    channels INTEGER,
+    bit_depth INTEGER,
+    lossless BOOLEAN,
+    duration_seconds NUMERIC,
+    title TEXT,
+    artist TEXT,
+    album TEXT,
+    isrc TEXT,
+    track_number INTEGER,
+    track_total INTEGER,
+    extracted_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Resumable (chunked) uploads in progress; part files live under uploads/resumable
+CREATE TABLE IF NOT EXISTS resumable_uploads (
+    id UUID PRIMARY KEY,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    total_size BIGINT NOT NULL,
+    received_bytes BIGINT NOT NULL DEFAULT 0,
+    local_path TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Batch uploads (many files or one archive); per-entry outcome in upload_batch_items
+CREATE TABLE IF NOT EXISTS upload_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status TEXT NOT NULL DEFAULT 'processing',
+    total INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS upload_batch_items (
+    batch_id UUID NOT NULL REFERENCES upload_batches(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    filename TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    audio_id UUID REFERENCES audio_files(id) ON DELETE SET NULL,
+    existing_audio_id UUID REFERENCES audio_files(id) ON DELETE SET NULL,
+    match_type TEXT,
+    in_batch BOOLEAN NOT NULL DEFAULT FALSE,
+    error TEXT,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (batch_id, position)
+);
+
+-- Format sniffed from the file content (mp3, wav, flac, ogg, m4a, aac)
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS detected_format TEXT;
+
+-- Soft delete: trashed files are hidden and skipped as similarity candidates until restored or purged
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Default library ordering (GET /audio)
+CREATE INDEX IF NOT EXISTS idx_audio_files_created_at ON audio_files (created_at, id);
+
+-- Review workflow: open, confirmed_duplicate, false_positive, dismissed
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open';
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE similarity_warnings ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+-- Keyset pagination of the warning lists (newest first)
+CREATE INDEX IF NOT EXISTS idx_similarity_warnings_created_at ON similarity_warnings (created_at, id);
+
+-- Processing lifecycle (GET /upload/:audioId/status)
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_job_id TEXT;
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_queued_at TIMESTAMP;
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_started_at TIMESTAMP;
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_finished_at TIMESTAMP;
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_error TEXT;
+
+-- Realtime event log: ids are the SSE event ids, replayed after Last-Event-ID
+CREATE TABLE IF NOT EXISTS realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+    audio_ids UUID[] NOT NULL,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_events_audio_ids ON realtime_events USING GIN (audio_ids);
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created_at ON realtime_events (created_at);
+
+-- Fingerprint job retries: attempts of the current job; 'retrying' / 'failed' statuses
+ALTER TABLE audio_files ADD COLUMN IF NOT EXISTS fingerprint_attempts INTEGER NOT NULL DEFAULT 0;
+
+-- One-off data migrations, recorded so they run once rather than on every start
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    name TEXT PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One warning per unordered pair of files: side A/B keeps the excerpt orientation,
+-- so uniqueness is enforced on the sorted ids. Reversed duplicates stored before
+-- the index existed are removed first, keeping a reviewed row over an open one,
+-- then the oldest.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM schema_migrations WHERE name = 'dedupe_reversed_warning_pairs') THEN
+        DELETE FROM similarity_warnings
+        WHERE id IN (
+            SELECT id FROM (
+                SELECT id,
+                       ROW_NUMBER() OVER (
+                           PARTITION BY LEAST(audio_id_a, audio_id_b), GREATEST(audio_id_a, audio_id_b)
+                           ORDER BY (status <> 'open') DESC, created_at, id
+                       ) AS rank
+                FROM similarity_warnings
+            ) ranked
+            WHERE rank > 1
+        );
+
+        INSERT INTO schema_migrations (name) VALUES ('dedupe_reversed_warning_pairs');
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_similarity_warnings_pair
+    ON similarity_warnings (LEAST(audio_id_a, audio_id_b), GREATEST(audio_id_a, audio_id_b));
@@ -0,0 +1,19 @@
+const logger = require('../modules/logging/logger');
+const { pruneEvents } = require('../modules/events/events.service');
+
+// How often the realtime event log is pruned (default hourly)
+const CLEANUP_INTERVAL_MS =
+  parseInt(process.env.EVENT_CLEANUP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+const timer = setInterval(async () => {
+  try {
+    await pruneEvents();
+  } catch (err) {
+    logger.error({ error: err.message }, 'Realtime event cleanup failed');
+  }
+}, CLEANUP_INTERVAL_MS);
+
+// Never keep the process alive just for the sweep
+timer.unref();
+
+logger.info('Realtime event cleanup scheduled');
@@ -1,12 +1,23 @@
-const { Worker } = require('bullmq');
+const { Worker, UnrecoverableError } = require('bullmq');
 const connection = require('../config/redis');
 const logger = require('../modules/logging/logger');
 const fingerprintService = require('../modules/audio/fingerprint.service');
+const processing = require('../modules/audio/processing.service');
 
 const worker = new Worker(
   'fingerprintQueue',
   async job => {
-    await fingerprintService.process(job.data.audioId);
+    try {
+      await fingerprintService.process(job.data.audioId, {
+        attempt: job.attemptsMade + 1
+      });
+    } catch (err) {
+      // A missing row or stored object will not appear on a later attempt
+      if (err.status === 404) {
+        throw new UnrecoverableError(err.message);
+      }
+      throw err;
+    }
   },
   { connection }
 );
@@ -15,11 +26,40 @@ worker.on('completed', job => {
   logger.debug({ jobId: job.id }, 'Fingerprint job completed');
 });
 
-worker.on('failed', (job, err) => {
+worker.on('failed', async (job, err) => {
+  if (!job) return;
+
+  const maxAttempts = job.opts.attempts || 1;
+  const final = err.name === 'UnrecoverableError' || job.attemptsMade >= maxAttempts;
+
   logger.error(
-    { jobId: job.id, error: err.message },
-    'Fingerprint job failed'
+    {
+      jobId: job.id,
+      audioId: job.data.audioId,
+      attempt: job.attemptsMade,
+      maxAttempts,
+      error: err.message
+    },
+    final ? 'Fingerprint job failed permanently' : 'Fingerprint job failed - will retry'
   );
+
+  try {
+    if (final) {
+      await processing.markFailed(job.data.audioId, err);
+    } else {
+      const backoff = job.opts.backoff?.delay || 0;
+      await processing.markRetrying(job.data.audioId, err, {
+        attempt: job.attemptsMade,
+        maxAttempts,
+        retryInMs: backoff * 2 ** (job.attemptsMade - 1)
+      });
+    }
+  } catch (markError) {
+    logger.error(
+      { audioId: job.data.audioId, error: markError.message },
+      'Failed to record fingerprint job failure'
+    );
+  }
 });
 
-logger.info('Fingerprint worker started');
\ No newline at end of file
+logger.info('Fingerprint worker started');
@@ -1,8 +1,17 @@
 const { Queue } = require('bullmq');
 const connection = require('../config/redis');
 
+// Attempts per fingerprint job; failures are retried with exponential backoff
+// (FINGERPRINT_JOB_BACKOFF_MS, then twice that, ...)
+const FINGERPRINT_JOB_ATTEMPTS = parseInt(process.env.FINGERPRINT_JOB_ATTEMPTS, 10) || 3;
+const FINGERPRINT_JOB_BACKOFF_MS = parseInt(process.env.FINGERPRINT_JOB_BACKOFF_MS, 10) || 5000;
+
 const fingerprintQueue = new Queue('fingerprintQueue', {
-  connection
+  connection,
+  defaultJobOptions: {
+    attempts: FINGERPRINT_JOB_ATTEMPTS,
+    backoff: { type: 'exponential', delay: FINGERPRINT_JOB_BACKOFF_MS }
+  }
 });
 
-module.exports = fingerprintQueue;
\ No newline at end of file
+module.exports = fingerprintQueue;
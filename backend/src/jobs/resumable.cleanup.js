@@ -0,0 +1,19 @@
+const logger = require('../modules/logging/logger');
+const { cleanupExpiredUploads } = require('../modules/upload/resumable.service');
+
+// How often expired resumable uploads are swept (default every 15 minutes)
+const CLEANUP_INTERVAL_MS =
+  parseInt(process.env.RESUMABLE_CLEANUP_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+const timer = setInterval(async () => {
+  try {
+    await cleanupExpiredUploads();
+  } catch (err) {
+    logger.error({ error: err.message }, 'Resumable upload cleanup failed');
+  }
+}, CLEANUP_INTERVAL_MS);
+
+// Never keep the process alive just for the sweep
+timer.unref();
+
+logger.info('Resumable upload cleanup scheduled');
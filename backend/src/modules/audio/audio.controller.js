@@ -0,0 +1,207 @@
+const { pipeline } = require('stream/promises');
+const audioService = require('./audio.service');
+const processingService = require('./processing.service');
+const { getStorage, BUCKETS } = require('../storage/storage.service');
+const logger = require('../logging/logger');
+
+/**
+ * RFC 6266 attachment header; the ASCII fallback keeps old clients working
+ */
+function attachmentHeader(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Stream a stored file. Supports single byte ranges (206) so <audio> can seek,
+ * conditional requests via ETag (the content hash) and ?download=1 for an attachment.
+ */
+async function getContent(req, res, next) {
+  try {
+    const audio = await audioService.getAudioFile(req.params.audioId);
+    const size = Number(audio.file_size);
+    const etag = `"${audio.content_hash}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, max-age=0, must-revalidate');
+    res.setHeader('Content-Type', audio.mime_type);
+
+    if (req.query.download === '1' || req.query.download === 'true') {
+      res.setHeader('Content-Disposition', attachmentHeader(audio.original_filename || 'audio'));
+    }
+
+    // Content never changes for a given hash
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // If-Range with a stale validator means "send the whole file"
+    const ifRange = req.get('If-Range');
+    const ranges = !ifRange || ifRange === etag ? req.range(size, { combine: true }) : undefined;
+
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    // Malformed (-2) or multipart ranges fall back to a full response
+    const range =
+      Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1
+        ? ranges[0]
+        : undefined;
+
+    // Open the object before committing to a status, so a missing object is a clean 404
+    const stream =
+      req.method === 'HEAD'
+        ? null
+        : await getStorage().getStream(BUCKETS.AUDIO, audio.storage_path, range);
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.status(200);
+      res.setHeader('Content-Length', String(size));
+    }
+
+    if (!stream) {
+      return res.end();
+    }
+
+    try {
+      await pipeline(stream, res);
+    } catch (err) {
+      // Player seeks and page navigation abort requests all the time
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error(
+          { audioId: audio.id, error: err.message },
+          'Audio stream failed'
+        );
+      }
+    }
+  } catch (err) {
+    logger.error(
+      { audioId: req.params.audioId, error: err.message },
+      'Failed to serve audio content'
+    );
+    next(err);
+  }
+}
+
+/**
+ * List uploaded files (filters, sorting, cursor pagination)
+ */
+async function listAudio(req, res, next) {
+  try {
+    const result = await audioService.listAudio(req.query);
+    res.json(result);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list audio files');
+    next(err);
+  }
+}
+
+/**
+ * Full record of one file with warning count and processing state
+ */
+async function getAudio(req, res, next) {
+  try {
+    const audio = await audioService.getAudioDetails(req.params.audioId);
+    res.json(audio);
+  } catch (err) {
+    logger.error({ audioId: req.params.audioId, error: err.message }, 'Failed to retrieve audio file');
+    next(err);
+  }
+}
+
+/**
+ * Soft-delete: move the file to the trash
+ */
+async function trashAudio(req, res, next) {
+  try {
+    const result = await audioService.trashAudio(req.params.audioId);
+    res.json(result);
+  } catch (err) {
+    logger.error({ audioId: req.params.audioId, error: err.message }, 'Failed to trash audio file');
+    next(err);
+  }
+}
+
+/**
+ * Restore a trashed file
+ */
+async function restoreAudio(req, res, next) {
+  try {
+    const result = await audioService.restoreAudio(req.params.audioId);
+    res.json(result);
+  } catch (err) {
+    logger.error({ audioId: req.params.audioId, error: err.message }, 'Failed to restore audio file');
+    next(err);
+  }
+}
+
+/**
+ * Permanently delete a trashed file, its stored object and its warnings
+ */
+async function purgeAudio(req, res, next) {
+  try {
+    const result = await audioService.purgeAudio(req.params.audioId);
+    res.json(result);
+  } catch (err) {
+    logger.error({ audioId: req.params.audioId, error: err.message }, 'Failed to purge audio file');
+    next(err);
+  }
+}
+
+/**
+ * Dead-letter list: files whose fingerprinting failed after all retries
+ */
+async function listFailed(req, res, next) {
+  try {
+    const result = await processingService.listFailed(req.query);
+    res.json(result);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list failed audio files');
+    next(err);
+  }
+}
+
+/**
+ * Re-queue every failed file
+ */
+async function retryAllFailed(req, res, next) {
+  try {
+    const result = await processingService.retryAllFailed();
+    res.status(202).json(result);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to retry failed audio files');
+    next(err);
+  }
+}
+
+/**
+ * Queue a fresh fingerprint job for one file
+ */
+async function reprocessAudio(req, res, next) {
+  try {
+    const result = await processingService.reprocess(req.params.audioId);
+    res.status(202).json(result);
+  } catch (err) {
+    logger.error({ audioId: req.params.audioId, error: err.message }, 'Failed to reprocess audio file');
+    next(err);
+  }
+}
+
+module.exports = {
+  listAudio,
+  getAudio,
+  getContent,
+  trashAudio,
+  restoreAudio,
+  purgeAudio,
+  listFailed,
+  retryAllFailed,
+  reprocessAudio
+};
@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  listAudio,
+  getAudio,
+  getContent,
+  trashAudio,
+  restoreAudio,
+  purgeAudio,
+  listFailed,
+  retryAllFailed,
+  reprocessAudio
+} = require('./audio.controller');
+
+const router = express.Router();
+
+// Dead-letter: files whose fingerprinting failed after all retries, and bulk retry
+// (registered before /:audioId so "failed" is not taken for an id)
+router.get('/failed', listFailed);
+router.post('/failed/retry', retryAllFailed);
+
+// Library listing and single-file details
+router.get('/', listAudio);
+router.get('/:audioId', getAudio);
+
+// Stream or download the stored file (Range, ETag, ?download=1)
+router.get('/:audioId/content', getContent);
+
+// Lifecycle: trash (soft delete), restore, purge (permanent, trashed files only)
+router.delete('/:audioId', trashAudio);
+router.post('/:audioId/restore', restoreAudio);
+router.delete('/:audioId/purge', purgeAudio);
+
+// Queue fingerprinting again (e.g. after a failure)
+router.post('/:audioId/reprocess', reprocessAudio);
+
+module.exports = router;
@@ -0,0 +1,397 @@
+const pool = require('../../config/db');
+const logger = require('../logging/logger');
+const { getStorage, BUCKETS } = require('../storage/storage.service');
+const { indexFingerprint, removeFromIndex } = require('./fingerprint.service');
+const {
+  WARNING_STATUS,
+  findSimilar,
+  getMatchedFileIds,
+  refreshMatchSummary
+} = require('./similarity.service');
+const { getEngine } = require('./fingerprint.engines');
+const metadataService = require('./metadata.service');
+const { enqueueFingerprint } = require('./processing.service');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Warnings of a file counted from similarity_warnings, as refreshMatchSummary does
+// (false positives and warnings whose other file is trashed are left out), so the
+// listing does not depend on audio_files.match_count being up to date
+const MATCH_COUNT_SQL = `(
+  SELECT COUNT(*) FROM similarity_warnings w
+  WHERE (w.audio_id_a = af.id OR w.audio_id_b = af.id)
+    AND w.status <> '${WARNING_STATUS.FALSE_POSITIVE}'
+    AND NOT EXISTS (
+      SELECT 1 FROM audio_files t
+      WHERE t.id IN (w.audio_id_a, w.audio_id_b) AND t.deleted_at IS NOT NULL
+    )
+)::INTEGER`;
+
+// Listing sort keys -> SQL expression (NULLs mapped so keyset comparison works) and cast
+const SORT_COLUMNS = {
+  createdAt: { expression: 'af.created_at', cast: 'TIMESTAMP' },
+  filename: { expression: "COALESCE(af.original_filename, '')", cast: 'TEXT' },
+  size: { expression: 'af.file_size', cast: 'BIGINT' },
+  duration: { expression: 'COALESCE(af.duration_seconds, -1)', cast: 'NUMERIC' },
+  matchCount: { expression: MATCH_COUNT_SQL, cast: 'INTEGER' }
+};
+
+// Everything except the (large) fingerprints
+const AUDIO_COLUMNS = `af.id, af.original_filename, af.mime_type, af.detected_format, af.file_size,
+       af.duration_seconds, af.content_hash, af.audio_content_hash, af.storage_path,
+       af.similarity_status, af.match_count, af.best_match_id, af.fingerprint_engine,
+       af.fingerprint_engine_version, af.raw_fingerprint IS NOT NULL AS fingerprinted,
+       af.created_at, af.deleted_at`;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Stored audio file row; 404 when the id is unknown
+ */
+async function getAudioFile(audioId) {
+  if (!UUID_PATTERN.test(audioId)) {
+    throw httpError(404, 'Audio file not found');
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM audio_files WHERE id = $1`,
+    [audioId]
+  );
+
+  if (rows.length === 0) {
+    throw httpError(404, 'Audio file not found');
+  }
+
+  return rows[0];
+}
+
+function formatLifecycle(row) {
+  return {
+    audioId: row.id,
+    filename: row.original_filename,
+    trashed: Boolean(row.deleted_at),
+    deletedAt: row.deleted_at
+  };
+}
+
+/**
+ * Move a file to the trash: hidden from listings and dropped from the candidate index.
+ * Trashing an already trashed file is a no-op.
+ */
+async function trashAudio(audioId) {
+  const audio = await getAudioFile(audioId);
+  if (audio.deleted_at) {
+    return formatLifecycle(audio);
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE audio_files SET deleted_at = NOW() WHERE id = $1 RETURNING *`,
+    [audioId]
+  );
+
+  await removeFromIndex(audioId);
+  await refreshMatchSummary(await getMatchedFileIds(audioId));
+
+  logger.info({ audioId, filename: audio.original_filename }, 'Audio file moved to trash');
+  return formatLifecycle(rows[0]);
+}
+
+/**
+ * Bring a trashed file back. Its stored fingerprint is indexed again and compared
+ * against files uploaded while it was in the trash; existing warnings are kept.
+ * A file trashed before it was fingerprinted is queued for fingerprinting instead.
+ */
+async function restoreAudio(audioId) {
+  const audio = await getAudioFile(audioId);
+  if (!audio.deleted_at) {
+    throw httpError(409, 'Audio file is not in the trash');
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE audio_files SET deleted_at = NULL WHERE id = $1 RETURNING *`,
+    [audioId]
+  );
+
+  if (audio.raw_fingerprint?.length > 0 && audio.fingerprint_engine) {
+    await indexFingerprint(audioId, audio.raw_fingerprint);
+    await findSimilar(audioId, audio.raw_fingerprint, audio.original_filename, {
+      ...getEngine(audio.fingerprint_engine),
+      version: audio.fingerprint_engine_version
+    });
+  } else {
+    await enqueueFingerprint(audioId, audio.original_filename);
+  }
+
+  await refreshMatchSummary([audioId, ...(await getMatchedFileIds(audioId))]);
+
+  logger.info({ audioId, filename: audio.original_filename }, 'Audio file restored from trash');
+  return formatLifecycle(rows[0]);
+}
+
+/**
+ * Permanently delete a trashed file: storage object, row, and (by cascade)
+ * its warnings, index keys and metadata
+ */
+async function purgeAudio(audioId) {
+  const audio = await getAudioFile(audioId);
+  if (!audio.deleted_at) {
+    throw httpError(409, 'Move the audio file to the trash before purging it');
+  }
+
+  const matchedIds = await getMatchedFileIds(audioId);
+
+  await getStorage().remove(BUCKETS.AUDIO, [audio.storage_path]);
+  await pool.query(`DELETE FROM audio_files WHERE id = $1`, [audioId]);
+  await refreshMatchSummary(matchedIds);
+
+  logger.info(
+    { audioId, filename: audio.original_filename, storagePath: audio.storage_path },
+    'Audio file purged'
+  );
+
+  return { audioId, purged: true };
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function formatAudio(row) {
+  return {
+    id: row.id,
+    filename: row.original_filename,
+    mimeType: row.mime_type,
+    detectedFormat: row.detected_format,
+    fileSize: Number(row.file_size),
+    durationSeconds: toNumber(row.duration_seconds),
+    contentHash: row.content_hash,
+    similarityStatus: row.similarity_status,
+    matchCount: row.live_match_count ?? row.match_count ?? 0,
+    bestMatchId: row.best_match_id,
+    createdAt: row.created_at,
+    trashed: Boolean(row.deleted_at),
+    deletedAt: row.deleted_at
+  };
+}
+
+// Cursors remember their sort/order so they cannot be replayed against another ordering
+function encodeCursor(sortKey, order, sortValue, id) {
+  return Buffer.from(JSON.stringify([sortKey, order, sortValue, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKey, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+
+  if (!Array.isArray(decoded) || typeof decoded[2] !== 'string' || !UUID_PATTERN.test(decoded[3])) {
+    throw httpError(400, 'Invalid cursor');
+  }
+
+  if (decoded[0] !== sortKey || decoded[1] !== order) {
+    throw httpError(400, 'Cursor was issued for a different sort order');
+  }
+
+  return { sortValue: decoded[2], id: decoded[3] };
+}
+
+function parseList(value) {
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw httpError(400, `${name} must be a number`);
+  }
+  return number;
+}
+
+// Validated, but passed to Postgres as written (created_at has no time zone)
+function parseDate(value, name) {
+  if (Number.isNaN(new Date(value).getTime())) {
+    throw httpError(400, `${name} must be an ISO date`);
+  }
+  return String(value);
+}
+
+function parseBoolean(value, name) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw httpError(400, `${name} must be true or false`);
+}
+
+/**
+ * Build WHERE clauses for the listing filters
+ */
+function buildFilters(query, params) {
+  const where = [];
+  const add = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Trashed files are only listed on request
+  const trashed = query.trashed !== undefined && parseBoolean(query.trashed, 'trashed');
+  where.push(trashed ? 'af.deleted_at IS NOT NULL' : 'af.deleted_at IS NULL');
+
+  if (query.status) {
+    where.push(`af.similarity_status = ANY(${add(parseList(query.status))}::TEXT[])`);
+  }
+
+  if (query.mimeType) {
+    where.push(`af.mime_type = ANY(${add(parseList(query.mimeType))}::TEXT[])`);
+  }
+
+  if (query.minDuration !== undefined) {
+    where.push(`af.duration_seconds >= ${add(parseNumber(query.minDuration, 'minDuration'))}`);
+  }
+
+  if (query.maxDuration !== undefined) {
+    where.push(`af.duration_seconds <= ${add(parseNumber(query.maxDuration, 'maxDuration'))}`);
+  }
+
+  if (query.uploadedFrom !== undefined) {
+    where.push(`af.created_at >= ${add(parseDate(query.uploadedFrom, 'uploadedFrom'))}`);
+  }
+
+  if (query.uploadedTo !== undefined) {
+    where.push(`af.created_at <= ${add(parseDate(query.uploadedTo, 'uploadedTo'))}`);
+  }
+
+  if (query.q) {
+    const pattern = `%${String(query.q).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    where.push(`af.original_filename ILIKE ${add(pattern)}`);
+  }
+
+  if (query.hasWarnings !== undefined) {
+    where.push(
+      parseBoolean(query.hasWarnings, 'hasWarnings')
+        ? `${MATCH_COUNT_SQL} > 0`
+        : `${MATCH_COUNT_SQL} = 0`
+    );
+  }
+
+  return where;
+}
+
+/**
+ * List audio files with filters, sorting and cursor pagination.
+ * The cursor encodes the last row's sort value and id (keyset pagination).
+ */
+async function listAudio(query = {}) {
+  const sortKey = query.sort || 'createdAt';
+  const sort = SORT_COLUMNS[sortKey];
+  if (!sort) {
+    throw httpError(400, `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+  }
+
+  const order = (query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw httpError(400, 'order must be asc or desc');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const params = [];
+  const where = buildFilters(query, params);
+
+  if (query.cursor) {
+    const { sortValue, id } = decodeCursor(query.cursor, sortKey, order);
+    params.push(sortValue, id);
+    where.push(
+      `(${sort.expression}, af.id) ${order === 'desc' ? '<' : '>'} ` +
+        `($${params.length - 1}::${sort.cast}, $${params.length}::UUID)`
+    );
+  }
+
+  params.push(limit + 1);
+  const { rows } = await pool.query(
+    `SELECT ${AUDIO_COLUMNS}, ${MATCH_COUNT_SQL} AS live_match_count,
+            (${sort.expression})::TEXT AS sort_value
+     FROM audio_files af
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${sort.expression} ${order}, af.id ${order}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(formatAudio),
+    nextCursor: rows.length > limit ? encodeCursor(sortKey, order, last.sort_value, last.id) : null,
+    limit,
+    sort: sortKey,
+    order
+  };
+}
+
+/**
+ * One audio file with its warning count, processing state and extracted metadata
+ */
+async function getAudioDetails(audioId) {
+  if (!UUID_PATTERN.test(audioId)) {
+    throw httpError(404, 'Audio file not found');
+  }
+
+  const { rows } = await pool.query(
+    `SELECT ${AUDIO_COLUMNS},
+            (
+              SELECT COUNT(*) FROM similarity_warnings w
+              WHERE (w.audio_id_a = af.id OR w.audio_id_b = af.id)
+                AND NOT EXISTS (
+                  SELECT 1 FROM audio_files t
+                  WHERE t.id IN (w.audio_id_a, w.audio_id_b) AND t.deleted_at IS NOT NULL
+                )
+            )::INTEGER AS warning_count
+     FROM audio_files af
+     WHERE af.id = $1`,
+    [audioId]
+  );
+
+  const row = rows[0];
+  if (!row) {
+    throw httpError(404, 'Audio file not found');
+  }
+
+  return {
+    ...formatAudio(row),
+    audioContentHash: row.audio_content_hash,
+    storagePath: row.storage_path,
+    warningCount: row.warning_count,
+    processing: {
+      similarityStatus: row.similarity_status,
+      fingerprinted: row.fingerprinted,
+      fingerprintEngine: row.fingerprint_engine,
+      fingerprintEngineVersion: row.fingerprint_engine_version
+    },
+    metadata: await metadataService.getMetadata(audioId)
+  };
+}
+
+module.exports = {
+  getAudioFile,
+  listAudio,
+  getAudioDetails,
+  trashAudio,
+  restoreAudio,
+  purgeAudio
+};
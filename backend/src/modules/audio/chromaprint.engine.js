@@ -0,0 +1,192 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const logger = require('../logging/logger');
+const matcher = require('./fingerprint.matcher');
+
+const ENGINE_NAME = 'chromaprint';
+
+// Chromaprint emits one 32-bit sub-fingerprint every 4096/3 samples at 11025 Hz
+const SUB_FINGERPRINT_SECONDS = 4096 / 3 / 11025;
+
+// fpcalc only reads the first 120s by default; 0 fingerprints the whole file
+// so excerpts from later in a track or episode can still be located
+const FPCALC_MAX_DURATION = process.env.FPCALC_MAX_DURATION || '0';
+
+// Binaries shipped with the backend, per platform
+const BACKEND_ROOT = path.join(__dirname, '../../..');
+const BUNDLED_FPCALC = {
+  win32: path.join(BACKEND_ROOT, 'fpcalc.exe'),
+  linux: path.join(BACKEND_ROOT, 'bin/linux/fpcalc'),
+  darwin: path.join(BACKEND_ROOT, 'bin/darwin/fpcalc')
+};
+
+let fpcalcPath = null;
+let fpcalcVersion = null;
+
+function isExecutable(filePath) {
+  try {
+    fs.accessSync(
+      filePath,
+      process.platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK
+    );
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Locate fpcalc: FPCALC_PATH, then PATH, then the bundled binary for this platform
+ */
+function locateFpcalc() {
+  if (process.env.FPCALC_PATH) {
+    if (!isExecutable(process.env.FPCALC_PATH)) {
+      throw new Error(
+        `FPCALC_PATH points to ${process.env.FPCALC_PATH}, which is not an executable file`
+      );
+    }
+    return process.env.FPCALC_PATH;
+  }
+
+  const binaryName = process.platform === 'win32' ? 'fpcalc.exe' : 'fpcalc';
+  const searchPath = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of searchPath) {
+    const candidate = path.join(dir, binaryName);
+    if (isExecutable(candidate)) {
+      return candidate;
+    }
+  }
+
+  const bundled = BUNDLED_FPCALC[process.platform];
+  if (bundled && isExecutable(bundled)) {
+    return bundled;
+  }
+
+  return null;
+}
+
+function execFpcalc(args) {
+  return new Promise((resolve, reject) => {
+    execFile(fpcalcPath, args, { maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        error.stderr = stderr;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Locate fpcalc and read its version; throws when no usable binary exists
+ */
+async function init() {
+  fpcalcPath = locateFpcalc();
+
+  if (!fpcalcPath) {
+    throw new Error(
+      'Chromaprint engine unavailable: fpcalc not found. ' +
+        'Install Chromaprint (fpcalc on PATH), set FPCALC_PATH, ' +
+        `or place the binary at ${BUNDLED_FPCALC[process.platform] || 'a bundled path'}`
+    );
+  }
+
+  const output = await execFpcalc(['-version']);
+  const match = output.match(/version\s+([\w.-]+)/i);
+  fpcalcVersion = match ? match[1] : 'unknown';
+
+  logger.info(
+    { engine: ENGINE_NAME, version: fpcalcVersion, fpcalcPath },
+    'Chromaprint fingerprint engine ready'
+  );
+
+  return { engine: ENGINE_NAME, version: fpcalcVersion };
+}
+
+/**
+ * Run fpcalc on a local file
+ * With `raw` set, FINGERPRINT holds the uncompressed 32-bit sub-fingerprints
+ */
+async function runFpcalc(localFilePath, { raw = false } = {}) {
+  const args = ['-length', String(FPCALC_MAX_DURATION)];
+  if (raw) {
+    args.push('-raw');
+  }
+  args.push(localFilePath);
+
+  let stdout;
+  try {
+    stdout = await execFpcalc(args);
+  } catch (error) {
+    logger.error(
+      { localFilePath, error: error.message, stderr: error.stderr },
+      'Fingerprint computation failed'
+    );
+    throw error;
+  }
+
+  const lines = stdout.split('\n');
+  const fingerprintLine = lines.find(line => line.startsWith('FINGERPRINT='));
+  const durationLine = lines.find(line => line.startsWith('DURATION='));
+
+  if (!fingerprintLine) {
+    throw new Error('Fingerprint not generated');
+  }
+
+  const fingerprint = fingerprintLine.split('=')[1].trim();
+  const duration = durationLine ? parseFloat(durationLine.split('=')[1]) : null;
+
+  return { fingerprint, duration };
+}
+
+/**
+ * Parse fpcalc raw output into signed 32-bit integers
+ * (fpcalc prints unsigned values, Postgres INTEGER[] is signed)
+ */
+function parseRawFingerprint(rawOutput) {
+  return rawOutput
+    .split(',')
+    .filter(value => value.trim() !== '')
+    .map(value => Number(value) | 0);
+}
+
+/**
+ * Fingerprint a local file (compressed for storage, raw for alignment scoring)
+ */
+async function compute(filePath) {
+  if (!fpcalcPath) {
+    await init();
+  }
+
+  const [{ fingerprint, duration }, { fingerprint: rawOutput }] = await Promise.all([
+    runFpcalc(filePath),
+    runFpcalc(filePath, { raw: true })
+  ]);
+
+  return {
+    fingerprint,
+    raw: parseRawFingerprint(rawOutput),
+    duration,
+    engine: ENGINE_NAME,
+    version: fpcalcVersion
+  };
+}
+
+/**
+ * Compare two raw Chromaprint fingerprints
+ */
+function compare(rawA, rawB, threshold) {
+  return matcher.compareFingerprints(rawA, rawB, {
+    itemSeconds: SUB_FINGERPRINT_SECONDS,
+    threshold
+  });
+}
+
+module.exports = {
+  name: ENGINE_NAME,
+  init,
+  compute,
+  compare
+};
@@ -0,0 +1,60 @@
+const logger = require('../logging/logger');
+const chromaprintEngine = require('./chromaprint.engine');
+const spectralEngine = require('./spectral.engine');
+
+/**
+ * Fingerprint engines share one interface:
+ *   name                      - stored as audio_files.fingerprint_engine
+ *   init()                    - verify the engine can run, resolves { engine, version }
+ *   compute(filePath)         - resolves { fingerprint, raw, duration, engine, version }
+ *   compare(rawA, rawB, min)  - match details when similarity >= min, else null
+ */
+const engines = {
+  [chromaprintEngine.name]: chromaprintEngine,
+  [spectralEngine.name]: spectralEngine
+};
+
+const DEFAULT_ENGINE = 'chromaprint';
+
+let activeEngine = null;
+
+/**
+ * Look up a registered engine by name
+ */
+function getEngine(name) {
+  const engine = engines[name];
+  if (!engine) {
+    throw new Error(
+      `Unknown fingerprint engine "${name}". Available: ${Object.keys(engines).join(', ')}`
+    );
+  }
+  return engine;
+}
+
+/**
+ * Initialize the engine selected by FINGERPRINT_ENGINE (once per process)
+ */
+function getActiveEngine() {
+  if (!activeEngine) {
+    const name = process.env.FINGERPRINT_ENGINE || DEFAULT_ENGINE;
+
+    activeEngine = Promise.resolve()
+      .then(() => getEngine(name))
+      .then(async engine => {
+        const { version } = await engine.init();
+        return { ...engine, version };
+      })
+      .catch(err => {
+        activeEngine = null;
+        logger.error({ engine: name, error: err.message }, 'Fingerprint engine unavailable');
+        throw err;
+      });
+  }
+
+  return activeEngine;
+}
+
+module.exports = {
+  getEngine,
+  getActiveEngine
+};
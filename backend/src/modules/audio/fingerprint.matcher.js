@@ -0,0 +1,277 @@
+/**
+ * Engine-agnostic matching of raw fingerprints: sequences of 32-bit
+ * sub-fingerprints, each covering `itemSeconds` of audio.
+ * Engines call these with their own item duration and threshold.
+ */
+
+// How far (in seconds) two fingerprints may be shifted against each other
+// to absorb leading silence, padding and encoder delay
+const MAX_ALIGNMENT_OFFSET_SECONDS = 10;
+
+// Excerpt (containment) detection tuning
+const EXCERPT_MAX_LENGTH_RATIO = 0.9; // shorter file must be at most 90% of the longer one
+const EXCERPT_MIN_SECONDS = 5; // ignore matched regions shorter than this
+const EXCERPT_MIN_COVERAGE = 0.8; // matched region must cover 80% of the shorter file
+const ITEM_MAX_BIT_ERRORS = 10; // a sub-fingerprint "matches" with at most 10 of 32 bits flipped
+const REGION_MAX_GAP = 8; // tolerate short runs of noisy sub-fingerprints inside a region
+
+// Excerpt positions are only scored where sub-fingerprints share a coarse key
+// (same quantization as the inverted index), instead of at every position
+const EXCERPT_KEY_SHIFT = 12;
+const EXCERPT_MAX_KEY_OCCURRENCES = 64; // keys this common (silence, hum) carry no position
+const EXCERPT_MAX_POSITIONS = 16; // best-voted positions scored in full
+const EXCERPT_MIN_VOTES = 2;
+
+const MATCH_KIND = {
+  SIMILAR: 'similar',
+  EXCERPT_OF: 'excerpt_of'
+};
+
+/**
+ * Count set bits in a 32-bit integer
+ */
+function popcount(value) {
+  let x = value - ((value >>> 1) & 0x55555555);
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  x = (x + (x >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(x, 0x01010101) >>> 24;
+}
+
+/**
+ * Slide raw fingerprint b against raw fingerprint a and score the best-aligned offset.
+ * A positive offset means the shared audio starts later in a than in b.
+ * Items outside the overlap count as mismatches, so length differences lower the score.
+ */
+function alignFingerprints(
+  a,
+  b,
+  { itemSeconds, maxOffsetSeconds = MAX_ALIGNMENT_OFFSET_SECONDS }
+) {
+  if (!a || !b || a.length === 0 || b.length === 0) {
+    return null;
+  }
+
+  const toSeconds = items => items * itemSeconds;
+  const maxOffset = Math.round(maxOffsetSeconds / itemSeconds);
+  const maxBits = Math.max(a.length, b.length) * 32;
+
+  let best = null;
+
+  for (let offset = -maxOffset; offset <= maxOffset; offset++) {
+    const start = Math.max(0, -offset);
+    const end = Math.min(b.length, a.length - offset);
+
+    if (end <= start) {
+      continue;
+    }
+
+    let errors = 0;
+    for (let i = start; i < end; i++) {
+      errors += popcount(a[i + offset] ^ b[i]);
+    }
+
+    const matchedBits = (end - start) * 32 - errors;
+    if (!best || matchedBits > best.matchedBits) {
+      best = { matchedBits, offset, start, end };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    similarityPercent: (best.matchedBits / maxBits) * 100,
+    offset: best.offset,
+    offsetSeconds: toSeconds(best.offset),
+    rangeA: {
+      startSeconds: toSeconds(best.start + best.offset),
+      endSeconds: toSeconds(best.end + best.offset)
+    },
+    rangeB: {
+      startSeconds: toSeconds(best.start),
+      endSeconds: toSeconds(best.end)
+    }
+  };
+}
+
+/**
+ * Find the longest run of matching sub-fingerprints between `shorter` and
+ * `longer` placed at `position`, bridging gaps of up to REGION_MAX_GAP items
+ */
+function findMatchedRegion(shorter, longer, position) {
+  let best = null;
+  let runStart = -1;
+  let lastMatch = -1;
+
+  for (let i = 0; i <= shorter.length; i++) {
+    const matches =
+      i < shorter.length &&
+      popcount(shorter[i] ^ longer[i + position]) <= ITEM_MAX_BIT_ERRORS;
+
+    if (matches) {
+      if (runStart === -1 || i - lastMatch > REGION_MAX_GAP + 1) {
+        runStart = i;
+      }
+      lastMatch = i;
+    }
+
+    const runEnded =
+      runStart !== -1 && (i === shorter.length || i - lastMatch > REGION_MAX_GAP);
+
+    if (runEnded) {
+      const length = lastMatch + 1 - runStart;
+      if (!best || length > best.end - best.start) {
+        best = { start: runStart, end: lastMatch + 1 };
+      }
+      runStart = -1;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Positions of `shorter` inside `longer` worth scoring: every pair of
+ * sub-fingerprints sharing a coarse key votes for the position it implies, and
+ * the best-voted positions are returned. Linear in the input plus key hits,
+ * rather than scoring all longer.length - shorter.length positions.
+ */
+function findExcerptPositions(shorter, longer) {
+  const keyPositions = new Map();
+  for (let j = 0; j < longer.length; j++) {
+    const key = longer[j] >>> EXCERPT_KEY_SHIFT;
+    const positions = keyPositions.get(key);
+    if (positions) {
+      positions.push(j);
+    } else {
+      keyPositions.set(key, [j]);
+    }
+  }
+
+  const maxPosition = longer.length - shorter.length;
+  const votes = new Map();
+
+  for (let i = 0; i < shorter.length; i++) {
+    const positions = keyPositions.get(shorter[i] >>> EXCERPT_KEY_SHIFT);
+    if (!positions || positions.length > EXCERPT_MAX_KEY_OCCURRENCES) {
+      continue;
+    }
+
+    for (const j of positions) {
+      const position = j - i;
+      if (position >= 0 && position <= maxPosition) {
+        votes.set(position, (votes.get(position) || 0) + 1);
+      }
+    }
+  }
+
+  return [...votes]
+    .filter(([, count]) => count >= EXCERPT_MIN_VOTES)
+    .sort((x, y) => y[1] - x[1] || x[0] - y[0])
+    .slice(0, EXCERPT_MAX_POSITIONS)
+    .map(([position]) => position);
+}
+
+/**
+ * Detect whether the shorter fingerprint is contained in a contiguous region
+ * of the longer one. Ranges are reported for a and b in the caller's order.
+ */
+function findExcerpt(a, b, { itemSeconds }) {
+  if (!a || !b || a.length === 0 || b.length === 0) {
+    return null;
+  }
+
+  const toSeconds = items => items * itemSeconds;
+  const aIsShorter = a.length <= b.length;
+  const shorter = aIsShorter ? a : b;
+  const longer = aIsShorter ? b : a;
+
+  if (
+    shorter.length / longer.length > EXCERPT_MAX_LENGTH_RATIO ||
+    toSeconds(shorter.length) < EXCERPT_MIN_SECONDS
+  ) {
+    return null;
+  }
+
+  let bestPosition = -1;
+  let bestErrors = Infinity;
+
+  for (const position of findExcerptPositions(shorter, longer)) {
+    let errors = 0;
+    for (let i = 0; i < shorter.length && errors < bestErrors; i++) {
+      errors += popcount(shorter[i] ^ longer[i + position]);
+    }
+
+    if (errors < bestErrors) {
+      bestErrors = errors;
+      bestPosition = position;
+    }
+  }
+
+  if (bestPosition === -1) {
+    return null;
+  }
+
+  const region = findMatchedRegion(shorter, longer, bestPosition);
+  if (!region) {
+    return null;
+  }
+
+  const regionLength = region.end - region.start;
+  if (
+    toSeconds(regionLength) < EXCERPT_MIN_SECONDS ||
+    regionLength / shorter.length < EXCERPT_MIN_COVERAGE
+  ) {
+    return null;
+  }
+
+  let regionErrors = 0;
+  for (let i = region.start; i < region.end; i++) {
+    regionErrors += popcount(shorter[i] ^ longer[i + bestPosition]);
+  }
+
+  const shorterRange = {
+    startSeconds: toSeconds(region.start),
+    endSeconds: toSeconds(region.end)
+  };
+  const longerRange = {
+    startSeconds: toSeconds(region.start + bestPosition),
+    endSeconds: toSeconds(region.end + bestPosition)
+  };
+  const offset = aIsShorter ? -bestPosition : bestPosition;
+
+  return {
+    similarityPercent: ((regionLength * 32 - regionErrors) / (regionLength * 32)) * 100,
+    offset,
+    offsetSeconds: toSeconds(offset),
+    excerptSide: aIsShorter ? 'a' : 'b',
+    rangeA: aIsShorter ? shorterRange : longerRange,
+    rangeB: aIsShorter ? longerRange : shorterRange
+  };
+}
+
+/**
+ * Compare two raw fingerprints: whole-file similarity first, then containment
+ */
+function compareFingerprints(a, b, { itemSeconds, threshold }) {
+  const alignment = alignFingerprints(a, b, { itemSeconds });
+  if (alignment && alignment.similarityPercent >= threshold) {
+    return { kind: MATCH_KIND.SIMILAR, ...alignment };
+  }
+
+  const excerpt = findExcerpt(a, b, { itemSeconds });
+  if (excerpt && excerpt.similarityPercent >= threshold) {
+    return { kind: MATCH_KIND.EXCERPT_OF, ...excerpt };
+  }
+
+  return null;
+}
+
+module.exports = {
+  MATCH_KIND,
+  popcount,
+  alignFingerprints,
+  findExcerpt,
+  compareFingerprints
+};
@@ -1,4 +1,3 @@
-const { execFile } = require('child_process');
 const pool = require('../../config/db');
 const path = require('path');
 const fs = require('fs');
@@ -6,69 +5,101 @@ const os = require('os');
 const crypto = require('crypto');
 const logger = require('../logging/logger');
 const similarityService = require('./similarity.service');
-const supabase = require('../../config/supabase');
-
-const fpcalcPath = path.join(__dirname, '../../../fpcalc.exe');
+const fingerprintEngines = require('./fingerprint.engines');
+const processing = require('./processing.service');
+const { BUCKETS, downloadToFile } = require('../storage/storage.service');
 
 /**
- * Run fpcalc on a local file
+ * Download file from storage and store temporarily
  */
-async function runFpcalc(localFilePath) {
-  return new Promise((resolve, reject) => {
-    execFile(fpcalcPath, [localFilePath], (error, stdout, stderr) => {
-      if (error) {
-        logger.error(
-          { localFilePath, error: error.message, stderr },
-          'Fingerprint computation failed'
-        );
-        return reject(error);
-      }
-
-      const lines = stdout.split('\n');
-      const fingerprintLine = lines.find(line =>
-        line.startsWith('FINGERPRINT=')
-      );
-      const durationLine = lines.find(line =>
-        line.startsWith('DURATION=')
-      );
+async function downloadFromStorage(storagePath) {
+  const tempFileName = `fp_${crypto.randomUUID()}.tmp`;
+  const tempFilePath = path.join(os.tmpdir(), tempFileName);
+
+  try {
+    return await downloadToFile(BUCKETS.AUDIO, storagePath, tempFilePath);
+  } catch (err) {
+    fs.rmSync(tempFilePath, { force: true });
+    throw err;
+  }
+}
 
-      if (!fingerprintLine) {
-        return reject(new Error('Fingerprint not generated'));
-      }
+/**
+ * Replace the inverted-index keys of an audio file
+ */
+async function indexFingerprint(audioId, rawFingerprint) {
+  const keys = similarityService.toIndexKeys(rawFingerprint);
+  const client = await pool.connect();
 
-      const fingerprint = fingerprintLine.split('=')[1];
-      const duration = durationLine
-        ? parseFloat(durationLine.split('=')[1])
-        : null;
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM fingerprint_index WHERE audio_id=$1`, [
+      audioId
+    ]);
+    await client.query(
+      `INSERT INTO fingerprint_index (hash_key, audio_id)
+       SELECT key, $1 FROM unnest($2::int[]) AS key
+       ON CONFLICT DO NOTHING`,
+      [audioId, keys]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 
-      resolve({ fingerprint, duration });
-    });
-  });
+  logger.debug({ audioId, indexKeys: keys.length }, 'Fingerprint indexed');
 }
 
 /**
- * Download file from Supabase and store temporarily
+ * Drop an audio file from the inverted index
  */
-async function downloadFromSupabase(storagePath) {
-  const { data, error } = await supabase.storage
-    .from('audio-files')
-    .download(storagePath);
+async function removeFromIndex(audioId) {
+  await pool.query(`DELETE FROM fingerprint_index WHERE audio_id=$1`, [audioId]);
+  logger.debug({ audioId }, 'Fingerprint removed from index');
+}
 
-  if (error) {
-    throw error;
-  }
+/**
+ * Index every fingerprinted file that has no index keys yet
+ */
+async function backfillIndex({ batchSize = 100 } = {}) {
+  let indexed = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT af.id, af.raw_fingerprint
+       FROM audio_files af
+       WHERE cardinality(af.raw_fingerprint) > 0
+         AND af.deleted_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM fingerprint_index fi WHERE fi.audio_id = af.id
+         )
+       LIMIT $1`,
+      [batchSize]
+    );
 
-  const buffer = Buffer.from(await data.arrayBuffer());
+    if (rows.length === 0) {
+      break;
+    }
 
-  const tempFileName = `fp_${crypto.randomUUID()}.tmp`;
-  const tempFilePath = path.join(os.tmpdir(), tempFileName);
+    for (const row of rows) {
+      await indexFingerprint(row.id, row.raw_fingerprint);
+    }
 
-  fs.writeFileSync(tempFilePath, buffer);
+    indexed += rows.length;
+    logger.info({ indexed }, 'Fingerprint index backfill progress');
+  }
 
-  return tempFilePath;
+  return indexed;
 }
 
-async function process(audioId) {
+/**
+ * Fingerprint one file and run the similarity search. `attempt` is the 1-based
+ * job attempt; failures are recorded by the worker once retries are exhausted.
+ */
+async function process(audioId, { attempt = 1 } = {}) {
   let tempFilePath;
 
   try {
@@ -76,81 +107,119 @@ async function process(audioId) {
 
     // 1️⃣ Fetch file metadata from DB
     const result = await pool.query(
-      `SELECT storage_path, original_filename
+      `SELECT storage_path, original_filename, deleted_at
        FROM audio_files
        WHERE id=$1`,
       [audioId]
     );
 
     if (result.rowCount === 0) {
-      throw new Error('Audio not found');
+      const notFound = new Error('Audio not found');
+      notFound.status = 404;
+      throw notFound;
     }
 
-    const { storage_path: storagePath, original_filename: filename } =
-      result.rows[0];
+    const {
+      storage_path: storagePath,
+      original_filename: filename,
+      deleted_at: deletedAt
+    } = result.rows[0];
+
+    // Trashed files are compared again when restored
+    if (deletedAt) {
+      logger.info({ audioId }, 'Audio file is in trash - fingerprinting skipped');
+      return;
+    }
+
+    await processing.markStarted(audioId, { attempt });
 
     logger.debug(
       { audioId, storagePath },
-      'Downloading file from Supabase'
+      'Downloading file from storage'
     );
 
     // 2️⃣ Download file locally
-    tempFilePath = await downloadFromSupabase(storagePath);
+    tempFilePath = await downloadFromStorage(storagePath);
 
     logger.debug(
       { audioId, tempFilePath },
       'File downloaded for fingerprinting'
     );
 
-    // 3️⃣ Run fingerprint
-    const { fingerprint, duration } = await runFpcalc(tempFilePath);
+    // 3️⃣ Run fingerprint with the configured engine
+    const engine = await fingerprintEngines.getActiveEngine();
+    const {
+      fingerprint,
+      raw: rawFingerprint,
+      duration,
+      version
+    } = await engine.compute(tempFilePath);
 
     logger.debug(
-      { audioId, fingerprintLength: fingerprint.length },
+      {
+        audioId,
+        engine: engine.name,
+        engineVersion: version,
+        fingerprintLength: fingerprint.length,
+        subFingerprints: rawFingerprint.length
+      },
       'Fingerprint generated'
     );
 
-    // 4️⃣ Store fingerprint in DB
+    // 4️⃣ Store fingerprint in DB, tagged with the engine that produced it
     await pool.query(
       `UPDATE audio_files
        SET perceptual_hash=$1,
-           duration_seconds=$2,
+           raw_fingerprint=$2,
+           duration_seconds=$3,
+           fingerprint_engine=$4,
+           fingerprint_engine_version=$5,
            similarity_status='processed'
-       WHERE id=$3`,
-      [fingerprint, duration, audioId]
+       WHERE id=$6`,
+      [fingerprint, rawFingerprint, duration, engine.name, version, audioId]
     );
 
     logger.info({ audioId }, 'Fingerprint stored in database');
+    processing.markFingerprinted(audioId, {
+      engine: engine.name,
+      durationSeconds: duration
+    });
+
+    await indexFingerprint(audioId, rawFingerprint);
 
-    // 5️⃣ Compare similarity
-    const similar = await similarityService.findSimilar(
+    // 5️⃣ Compare similarity against indexed candidates
+    const matches = await similarityService.findSimilar(
       audioId,
-      fingerprint,
-      filename
+      rawFingerprint,
+      filename,
+      { ...engine, version }
     );
 
-    if (similar) {
+    if (matches.length > 0) {
       logger.warn(
         {
           audioId,
-          similarAudioId: similar.id,
-          similarity: similar.similarity
+          topMatches: matches.length,
+          bestMatchId: matches[0].id,
+          bestSimilarity: matches[0].similarity,
+          matchKind: matches[0].matchKind
         },
         'Similar audio detected'
       );
-
-      await pool.query(
-        `UPDATE audio_files
-         SET similarity_status='similar_found'
-         WHERE id=$1`,
-        [audioId]
-      );
     }
 
+    // Summarise every stored warning for this file, not just the returned top-K,
+    // and for every file on the other side of one
+    await similarityService.refreshMatchSummary([
+      audioId,
+      ...(await similarityService.getMatchedFileIds(audioId))
+    ]);
+    await processing.markCompleted(audioId, { matchCount: matches.length });
+
     logger.info({ audioId }, 'Fingerprint processing completed');
   } catch (err) {
     logger.error(
-      { audioId, error: err.message, stack: err.stack },
+      { audioId, attempt, error: err.message, stack: err.stack },
       'Fingerprint processing failed'
     );
     throw err;
@@ -167,5 +236,8 @@ async function process(audioId) {
 }
 
 module.exports = {
-  process
+  process,
+  indexFingerprint,
+  removeFromIndex,
+  backfillIndex
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+const pool = require('../../config/db');
+const logger = require('../logging/logger');
+
+// music-metadata is ESM-only; load it lazily from CommonJS
+let musicMetadata = null;
+function loadParser() {
+  if (!musicMetadata) {
+    musicMetadata = import('music-metadata');
+  }
+  return musicMetadata;
+}
+
+function firstValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value[0] : null;
+  }
+  return value ?? null;
+}
+
+function roundOrNull(value) {
+  return Number.isFinite(value) ? Math.round(value) : null;
+}
+
+/**
+ * Parse technical details and common tags from a local audio file.
+ * Resolves null when the container cannot be parsed.
+ */
+async function extractMetadata(filePath, { mimeType } = {}) {
+  try {
+    const { parseFile } = await loadParser();
+    const { format, common } = await parseFile(filePath, {
+      duration: false,
+      skipCovers: true,
+      ...(mimeType && { mimeType })
+    });
+
+    return {
+      container: format.container || null,
+      codec: format.codec || null,
+      bitrate: roundOrNull(format.bitrate),
+      sampleRate: roundOrNull(format.sampleRate),
+      channels: roundOrNull(format.numberOfChannels),
+      bitDepth: roundOrNull(format.bitsPerSample),
+      lossless: typeof format.lossless === 'boolean' ? format.lossless : null,
+      durationSeconds: Number.isFinite(format.duration) ? format.duration : null,
+      title: common.title || null,
+      artist: common.artist || firstValue(common.artists),
+      album: common.album || null,
+      isrc: firstValue(common.isrc),
+      trackNumber: common.track?.no ?? null,
+      trackTotal: common.track?.of ?? null
+    };
+  } catch (err) {
+    logger.warn(
+      { filePath, error: err.message },
+      'Audio metadata extraction failed'
+    );
+    return null;
+  }
+}
+
+/**
+ * Shape an audio_metadata row for API responses
+ */
+function formatMetadata(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    container: row.container,
+    codec: row.codec,
+    bitrate: row.bitrate,
+    sampleRate: row.sample_rate,
+    channels: row.channels,
+    bitDepth: row.bit_depth,
+    lossless: row.lossless,
+    durationSeconds: row.duration_seconds === null ? null : parseFloat(row.duration_seconds),
+    tags: {
+      title: row.title,
+      artist: row.artist,
+      album: row.album,
+      isrc: row.isrc,
+      trackNumber: row.track_number,
+      trackTotal: row.track_total
+    }
+  };
+}
+
+/**
+ * Store extracted metadata for an audio file (replaces previous values)
+ * and resolve it in API shape
+ */
+async function saveMetadata(audioId, metadata) {
+  if (!metadata) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO audio_metadata (
+       audio_id, container, codec, bitrate, sample_rate, channels, bit_depth, lossless,
+       duration_seconds, title, artist, album, isrc, track_number, track_total
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     ON CONFLICT (audio_id) DO UPDATE SET
+       container = EXCLUDED.container,
+       codec = EXCLUDED.codec,
+       bitrate = EXCLUDED.bitrate,
+       sample_rate = EXCLUDED.sample_rate,
+       channels = EXCLUDED.channels,
+       bit_depth = EXCLUDED.bit_depth,
+       lossless = EXCLUDED.lossless,
+       duration_seconds = EXCLUDED.duration_seconds,
+       title = EXCLUDED.title,
+       artist = EXCLUDED.artist,
+       album = EXCLUDED.album,
+       isrc = EXCLUDED.isrc,
+       track_number = EXCLUDED.track_number,
+       track_total = EXCLUDED.track_total,
+       extracted_at = NOW()
+     RETURNING *`,
+    [
+      audioId,
+      metadata.container,
+      metadata.codec,
+      metadata.bitrate,
+      metadata.sampleRate,
+      metadata.channels,
+      metadata.bitDepth,
+      metadata.lossless,
+      metadata.durationSeconds,
+      metadata.title,
+      metadata.artist,
+      metadata.album,
+      metadata.isrc,
+      metadata.trackNumber,
+      metadata.trackTotal
+    ]
+  );
+
+  logger.debug({ audioId, codec: metadata.codec }, 'Audio metadata stored');
+
+  return formatMetadata(rows[0]);
+}
+
+async function getMetadata(audioId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM audio_metadata WHERE audio_id = $1`,
+    [audioId]
+  );
+  return formatMetadata(rows[0]);
+}
+
+module.exports = {
+  extractMetadata,
+  saveMetadata,
+  getMetadata,
+  formatMetadata
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+
+const READ_BLOCK_BYTES = 1024 * 1024;
+
+// WAVE format tags
+const FORMAT_PCM = 0x0001;
+const FORMAT_IEEE_FLOAT = 0x0003;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+// Headers of compressed containers we refuse to treat as raw PCM
+const COMPRESSED_SIGNATURES = [
+  { offset: 0, bytes: 'ID3' },
+  { offset: 0, bytes: 'fLaC' },
+  { offset: 0, bytes: 'OggS' },
+  { offset: 4, bytes: 'ftyp' }
+];
+
+/**
+ * Raw PCM layout used for headerless input, from env
+ */
+function getRawPcmFormat() {
+  return {
+    sampleRate: parseInt(process.env.PCM_SAMPLE_RATE, 10) || 44100,
+    channels: parseInt(process.env.PCM_CHANNELS, 10) || 2,
+    bitsPerSample: parseInt(process.env.PCM_BIT_DEPTH, 10) || 16,
+    float: false
+  };
+}
+
+function readHeader(fd, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Walk RIFF chunks to find the fmt and data chunks of a WAVE file
+ */
+function parseWavHeader(fd, fileSize) {
+  const chunkHeader = Buffer.alloc(8);
+  let position = 12;
+  let format = null;
+
+  while (position + 8 <= fileSize) {
+    fs.readSync(fd, chunkHeader, 0, 8, position);
+    const chunkId = chunkHeader.toString('ascii', 0, 4);
+    const chunkSize = chunkHeader.readUInt32LE(4);
+    const bodyStart = position + 8;
+
+    if (chunkId === 'fmt ') {
+      const fmt = Buffer.alloc(Math.min(chunkSize, 40));
+      fs.readSync(fd, fmt, 0, fmt.length, bodyStart);
+
+      let formatTag = fmt.readUInt16LE(0);
+      if (formatTag === FORMAT_EXTENSIBLE && fmt.length >= 26) {
+        // The first two bytes of the SubFormat GUID carry the real format tag
+        formatTag = fmt.readUInt16LE(24);
+      }
+
+      if (formatTag !== FORMAT_PCM && formatTag !== FORMAT_IEEE_FLOAT) {
+        throw new Error(`Unsupported WAV encoding (format tag 0x${formatTag.toString(16)})`);
+      }
+
+      format = {
+        channels: fmt.readUInt16LE(2),
+        sampleRate: fmt.readUInt32LE(4),
+        bitsPerSample: fmt.readUInt16LE(14),
+        float: formatTag === FORMAT_IEEE_FLOAT
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk found before fmt chunk');
+      }
+      // Streaming writers may leave the size at 0 or 0xFFFFFFFF
+      const available = fileSize - bodyStart;
+      const dataSize = chunkSize === 0 || chunkSize > available ? available : chunkSize;
+      return { format, dataOffset: bodyStart, dataSize };
+    }
+
+    // Chunks are word-aligned
+    position = bodyStart + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+function sampleReader(format) {
+  const { bitsPerSample, float } = format;
+
+  if (float && bitsPerSample === 32) return (buf, at) => buf.readFloatLE(at);
+  if (float && bitsPerSample === 64) return (buf, at) => buf.readDoubleLE(at);
+  if (float) throw new Error(`Unsupported float sample size: ${bitsPerSample} bits`);
+
+  switch (bitsPerSample) {
+    case 8:
+      return (buf, at) => (buf[at] - 128) / 128;
+    case 16:
+      return (buf, at) => buf.readInt16LE(at) / 32768;
+    case 24:
+      return (buf, at) => buf.readIntLE(at, 3) / 8388608;
+    case 32:
+      return (buf, at) => buf.readInt32LE(at) / 2147483648;
+    default:
+      throw new Error(`Unsupported PCM sample size: ${bitsPerSample} bits`);
+  }
+}
+
+/**
+ * Decode a WAV or headerless PCM file into mono samples at `targetRate`.
+ * Channels are averaged and the signal is resampled with a box filter,
+ * so output is deterministic for identical input.
+ */
+function decodeToMono(filePath, targetRate) {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const header = readHeader(fd, 12);
+
+    let layout;
+    if (
+      header.length === 12 &&
+      header.toString('ascii', 0, 4) === 'RIFF' &&
+      header.toString('ascii', 8, 12) === 'WAVE'
+    ) {
+      layout = parseWavHeader(fd, fileSize);
+    } else {
+      const compressed = COMPRESSED_SIGNATURES.find(
+        sig => header.toString('ascii', sig.offset, sig.offset + sig.bytes.length) === sig.bytes
+      );
+      if (compressed) {
+        throw new Error('Only WAV or raw PCM input can be decoded without an external decoder');
+      }
+      layout = { format: getRawPcmFormat(), dataOffset: 0, dataSize: fileSize };
+    }
+
+    const { format, dataOffset, dataSize } = layout;
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frameBytes = bytesPerSample * format.channels;
+
+    if (!frameBytes || !format.sampleRate) {
+      throw new Error('Invalid PCM layout');
+    }
+
+    const readSample = sampleReader(format);
+    const ratio = format.sampleRate / targetRate;
+    const totalFrames = Math.floor(dataSize / frameBytes);
+    const output = new Float32Array(Math.ceil(totalFrames / ratio) + 1);
+
+    const blockBytes = Math.max(frameBytes, READ_BLOCK_BYTES - (READ_BLOCK_BYTES % frameBytes));
+    const block = Buffer.alloc(blockBytes);
+
+    let outIndex = 0;
+    let sum = 0;
+    let count = 0;
+    let frameIndex = 0;
+
+    for (let offset = 0; offset < totalFrames * frameBytes; offset += blockBytes) {
+      const length = Math.min(blockBytes, totalFrames * frameBytes - offset);
+      fs.readSync(fd, block, 0, length, dataOffset + offset);
+
+      for (let at = 0; at < length; at += frameBytes, frameIndex++) {
+        let mono = 0;
+        for (let ch = 0; ch < format.channels; ch++) {
+          mono += readSample(block, at + ch * bytesPerSample);
+        }
+        mono /= format.channels;
+
+        // Emit every output sample whose window ends before this input frame
+        const target = Math.floor(frameIndex / ratio);
+        while (outIndex < target) {
+          // Upsampled inputs repeat the previous value for empty windows
+          const previous = outIndex > 0 ? output[outIndex - 1] : 0;
+          output[outIndex] = count > 0 ? sum / count : previous;
+          outIndex++;
+          sum = 0;
+          count = 0;
+        }
+
+        sum += mono;
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      output[outIndex++] = sum / count;
+    }
+
+    return {
+      samples: output.subarray(0, outIndex),
+      sampleRate: targetRate,
+      duration: totalFrames / format.sampleRate
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  decodeToMono
+};
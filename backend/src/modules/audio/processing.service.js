@@ -0,0 +1,298 @@
+const pool = require('../../config/db');
+const logger = require('../logging/logger');
+const fingerprintQueue = require('../../jobs/queue');
+const { notifyStatus } = require('../upload/sse.controller');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Lifecycle events sent to SSE subscribers alongside similarity_detected
+const PROCESSING_EVENT = {
+  QUEUED: 'queued',
+  FINGERPRINTING: 'fingerprinting',
+  FINGERPRINTED: 'fingerprinted',
+  NO_MATCH: 'no_match',
+  RETRYING: 'retrying',
+  FAILED: 'failed'
+};
+
+// Job states in which a file is still waiting for, or undergoing, fingerprinting
+const ACTIVE_JOB_STATES = ['waiting', 'active', 'delayed', 'prioritized', 'waiting-children'];
+
+const DEFAULT_FAILED_PAGE_SIZE = 50;
+const MAX_FAILED_PAGE_SIZE = 100;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Queue fingerprinting for a file and remember the job so its state can be looked up
+ */
+async function enqueueFingerprint(audioId, filename) {
+  const job = await fingerprintQueue.add('fingerprint', { audioId, filename });
+
+  await pool.query(
+    `UPDATE audio_files
+     SET similarity_status = 'pending',
+         fingerprint_job_id = $2,
+         fingerprint_queued_at = NOW(),
+         fingerprint_attempts = 0,
+         fingerprint_started_at = NULL,
+         fingerprint_finished_at = NULL,
+         fingerprint_error = NULL
+     WHERE id = $1`,
+    [audioId, job.id]
+  );
+
+  logger.debug({ audioId, jobId: job.id }, 'Fingerprint job queued');
+  notifyStatus(audioId, PROCESSING_EVENT.QUEUED, { jobId: job.id });
+
+  return job;
+}
+
+async function markStarted(audioId, { attempt = 1 } = {}) {
+  await pool.query(
+    `UPDATE audio_files
+     SET similarity_status = 'processing',
+         fingerprint_attempts = $2,
+         fingerprint_started_at = NOW(),
+         fingerprint_finished_at = NULL
+     WHERE id = $1`,
+    [audioId, attempt]
+  );
+
+  notifyStatus(audioId, PROCESSING_EVENT.FINGERPRINTING, { attempt });
+}
+
+/**
+ * Fingerprint stored; the similarity search runs next
+ */
+function markFingerprinted(audioId, details) {
+  notifyStatus(audioId, PROCESSING_EVENT.FINGERPRINTED, details);
+}
+
+/**
+ * Record the end of a successful run; `no_match` when the search found nothing
+ */
+async function markCompleted(audioId, { matchCount }) {
+  await pool.query(
+    `UPDATE audio_files
+     SET fingerprint_finished_at = NOW(), fingerprint_error = NULL
+     WHERE id = $1`,
+    [audioId]
+  );
+
+  if (matchCount === 0) {
+    notifyStatus(audioId, PROCESSING_EVENT.NO_MATCH);
+  }
+}
+
+/**
+ * An attempt failed and the job will run again after the backoff delay
+ */
+async function markRetrying(audioId, error, { attempt, maxAttempts, retryInMs }) {
+  await pool.query(
+    `UPDATE audio_files
+     SET similarity_status = 'retrying',
+         fingerprint_error = $2
+     WHERE id = $1`,
+    [audioId, error.message]
+  );
+
+  notifyStatus(audioId, PROCESSING_EVENT.RETRYING, {
+    attempt,
+    maxAttempts,
+    retryInMs,
+    error: error.message
+  });
+}
+
+/**
+ * Retries are exhausted (or the error is not retryable): terminal `failed` state
+ */
+async function markFailed(audioId, error) {
+  await pool.query(
+    `UPDATE audio_files
+     SET similarity_status = 'failed',
+         fingerprint_finished_at = NOW(),
+         fingerprint_error = $2
+     WHERE id = $1`,
+    [audioId, error.message]
+  );
+
+  notifyStatus(audioId, PROCESSING_EVENT.FAILED, { error: error.message });
+}
+
+/**
+ * BullMQ view of a fingerprint job; null when the job is unknown or already removed
+ */
+async function getJobStatus(jobId) {
+  if (!jobId) return null;
+
+  const job = await fingerprintQueue.getJob(jobId);
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    state: await job.getState(),
+    attempts: job.attemptsMade,
+    maxAttempts: job.opts.attempts || 1,
+    failedReason: job.failedReason || null
+  };
+}
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Processing state of one file: similarity status, job state, timings and last error
+ */
+async function getProcessingStatus(audioId) {
+  if (!UUID_PATTERN.test(audioId)) {
+    throw httpError(404, 'Audio file not found');
+  }
+
+  const { rows } = await pool.query(
+    `SELECT id, similarity_status, match_count, best_match_id, deleted_at,
+            fingerprint_job_id, fingerprint_attempts, fingerprint_queued_at,
+            fingerprint_started_at, fingerprint_finished_at, fingerprint_error
+     FROM audio_files
+     WHERE id = $1`,
+    [audioId]
+  );
+
+  const row = rows[0];
+  if (!row) {
+    throw httpError(404, 'Audio file not found');
+  }
+
+  const job = await getJobStatus(row.fingerprint_job_id);
+
+  const startedAt = row.fingerprint_started_at;
+  const finishedAt = row.fingerprint_finished_at;
+
+  return {
+    audioId: row.id,
+    similarityStatus: row.similarity_status,
+    trashed: Boolean(row.deleted_at),
+    matchCount: row.match_count ?? 0,
+    bestMatchId: row.best_match_id,
+    attempts: row.fingerprint_attempts ?? 0,
+    job,
+    timings: {
+      queuedAt: toIso(row.fingerprint_queued_at),
+      startedAt: toIso(startedAt),
+      finishedAt: toIso(finishedAt),
+      durationMs: startedAt && finishedAt ? finishedAt - startedAt : null
+    },
+    lastError: row.fingerprint_error || job?.failedReason || null
+  };
+}
+
+/**
+ * Dead-letter list: files whose fingerprinting failed for good, most recent first
+ */
+async function listFailed(query = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_FAILED_PAGE_SIZE, 1),
+    MAX_FAILED_PAGE_SIZE
+  );
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+  const { rows } = await pool.query(
+    `SELECT id, original_filename, fingerprint_job_id, fingerprint_attempts,
+            fingerprint_error, fingerprint_finished_at, created_at,
+            COUNT(*) OVER ()::INTEGER AS total
+     FROM audio_files
+     WHERE similarity_status = 'failed' AND deleted_at IS NULL
+     ORDER BY fingerprint_finished_at DESC NULLS LAST, id
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+
+  return {
+    total: rows[0]?.total ?? 0,
+    limit,
+    offset,
+    items: rows.map(row => ({
+      audioId: row.id,
+      filename: row.original_filename,
+      jobId: row.fingerprint_job_id,
+      attempts: row.fingerprint_attempts ?? 0,
+      error: row.fingerprint_error,
+      failedAt: toIso(row.fingerprint_finished_at),
+      createdAt: toIso(row.created_at)
+    }))
+  };
+}
+
+/**
+ * Queue a fresh fingerprint job for one file (any status). 409 while a job for
+ * it is still pending or running, or when the file is in the trash.
+ */
+async function reprocess(audioId) {
+  if (!UUID_PATTERN.test(audioId)) {
+    throw httpError(404, 'Audio file not found');
+  }
+
+  const { rows } = await pool.query(
+    `SELECT id, original_filename, deleted_at, fingerprint_job_id
+     FROM audio_files
+     WHERE id = $1`,
+    [audioId]
+  );
+
+  const audio = rows[0];
+  if (!audio) {
+    throw httpError(404, 'Audio file not found');
+  }
+  if (audio.deleted_at) {
+    throw httpError(409, 'Restore the audio file from the trash before reprocessing it');
+  }
+
+  const job = await getJobStatus(audio.fingerprint_job_id);
+  if (job && ACTIVE_JOB_STATES.includes(job.state)) {
+    throw httpError(409, `Fingerprinting is already ${job.state === 'active' ? 'running' : 'queued'}`);
+  }
+
+  const queued = await enqueueFingerprint(audioId, audio.original_filename);
+
+  logger.info({ audioId, jobId: queued.id }, 'Audio file queued for reprocessing');
+  return { audioId, jobId: queued.id, similarityStatus: 'pending' };
+}
+
+/**
+ * Re-queue every (non-trashed) file in the failed state
+ */
+async function retryAllFailed() {
+  const { rows } = await pool.query(
+    `SELECT id, original_filename
+     FROM audio_files
+     WHERE similarity_status = 'failed' AND deleted_at IS NULL
+     ORDER BY fingerprint_finished_at`
+  );
+
+  for (const row of rows) {
+    await enqueueFingerprint(row.id, row.original_filename);
+  }
+
+  logger.info({ retried: rows.length }, 'Failed fingerprint jobs re-queued');
+  return { retried: rows.length, audioIds: rows.map(row => row.id) };
+}
+
+module.exports = {
+  PROCESSING_EVENT,
+  enqueueFingerprint,
+  markStarted,
+  markFingerprinted,
+  markCompleted,
+  markRetrying,
+  markFailed,
+  getProcessingStatus,
+  listFailed,
+  reprocess,
+  retryAllFailed
+};
@@ -0,0 +1,142 @@
+const pool = require('../../config/db');
+
+const LOSSLESS_MIME_TYPES = ['audio/flac', 'audio/x-flac', 'audio/wav', 'audio/x-wav'];
+const LOSSY_MIME_TYPES = [
+  'audio/mpeg', 'audio/x-mpeg', 'audio/ogg', 'audio/x-ogg',
+  'audio/aac', 'audio/x-aac', 'audio/m4a', 'audio/x-m4a'
+];
+
+// Differences below these are treated as equal
+const BITRATE_TOLERANCE = 0.05; // 5%
+const DURATION_TOLERANCE_SECONDS = 1;
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Size, format, codec and timing facts for each audio file
+ */
+async function loadFileFacts(audioIds) {
+  const ids = [...new Set(audioIds)];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const { rows } = await pool.query(
+    `SELECT af.id, af.original_filename, af.file_size, af.mime_type, af.duration_seconds,
+            af.created_at, am.codec, am.bitrate, am.lossless,
+            am.duration_seconds AS metadata_duration_seconds
+     FROM audio_files af
+     LEFT JOIN audio_metadata am ON am.audio_id = af.id
+     WHERE af.id = ANY($1::uuid[])`,
+    [ids]
+  );
+
+  return new Map(
+    rows.map(row => {
+      const duration = toNumber(row.duration_seconds) ?? toNumber(row.metadata_duration_seconds);
+      const fileSize = toNumber(row.file_size);
+
+      let lossless = row.lossless;
+      if (lossless === null || lossless === undefined) {
+        if (LOSSLESS_MIME_TYPES.includes(row.mime_type)) lossless = true;
+        else if (LOSSY_MIME_TYPES.includes(row.mime_type)) lossless = false;
+        else lossless = null;
+      }
+
+      // Fall back to the average bitrate when the container did not report one
+      const bitrate =
+        toNumber(row.bitrate) ?? (duration && fileSize ? (fileSize * 8) / duration : null);
+
+      return [
+        row.id,
+        {
+          id: row.id,
+          filename: row.original_filename,
+          codec: row.codec || row.mime_type,
+          lossless,
+          bitrate,
+          duration,
+          createdAt: row.created_at
+        }
+      ];
+    })
+  );
+}
+
+function kbps(bitrate) {
+  return `${Math.round(bitrate / 1000)} kbps`;
+}
+
+/**
+ * Criteria in priority order; each returns the preferred file (or null) and why
+ */
+const CRITERIA = [
+  (a, b) => {
+    if (a.lossless === null || b.lossless === null || a.lossless === b.lossless) return null;
+    const [keep, other] = a.lossless ? [a, b] : [b, a];
+    return { keep, reason: `lossless (${keep.codec}) over lossy (${other.codec})` };
+  },
+  (a, b) => {
+    if (!a.bitrate || !b.bitrate) return null;
+    if (Math.abs(a.bitrate - b.bitrate) / Math.max(a.bitrate, b.bitrate) < BITRATE_TOLERANCE) return null;
+    const [keep, other] = a.bitrate > b.bitrate ? [a, b] : [b, a];
+    return { keep, reason: `higher bitrate (${kbps(keep.bitrate)} vs ${kbps(other.bitrate)})` };
+  },
+  (a, b) => {
+    if (!a.duration || !b.duration) return null;
+    if (Math.abs(a.duration - b.duration) < DURATION_TOLERANCE_SECONDS) return null;
+    const [keep, other] = a.duration > b.duration ? [a, b] : [b, a];
+    return {
+      keep,
+      reason: `longer duration (${keep.duration.toFixed(1)}s vs ${other.duration.toFixed(1)}s)`
+    };
+  },
+  (a, b) => {
+    if (!a.createdAt || !b.createdAt) return null;
+    const timeA = new Date(a.createdAt).getTime();
+    const timeB = new Date(b.createdAt).getTime();
+    if (timeA === timeB) return null;
+    return { keep: timeA < timeB ? a : b, reason: 'uploaded earlier' };
+  }
+];
+
+/**
+ * Decide which of two files to keep: the first decisive criterion wins,
+ * and every criterion agreeing with it is listed as a reason
+ */
+function recommendKeep(a, b) {
+  if (!a || !b) {
+    return null;
+  }
+
+  const verdicts = CRITERIA.map(criterion => criterion(a, b)).filter(Boolean);
+  if (verdicts.length === 0) {
+    return null;
+  }
+
+  const keep = verdicts[0].keep;
+  const remove = keep === a ? b : a;
+
+  return {
+    keepAudioId: keep.id,
+    keepFilename: keep.filename,
+    removeAudioId: remove.id,
+    removeFilename: remove.filename,
+    reasons: verdicts.filter(verdict => verdict.keep === keep).map(verdict => verdict.reason)
+  };
+}
+
+/**
+ * Recommendations for a list of [audioIdA, audioIdB] pairs, in the same order
+ */
+async function recommendForPairs(pairs) {
+  const facts = await loadFileFacts(pairs.flat());
+  return pairs.map(([idA, idB]) => recommendKeep(facts.get(idA), facts.get(idB)));
+}
+
+module.exports = {
+  recommendKeep,
+  recommendForPairs
+};
@@ -1,104 +1,257 @@
 const pool = require('../../config/db');
 const logger = require('../logging/logger');
 const { notifyWarning } = require('../upload/sse.controller');
+const settingsService = require('../settings/settings.service');
+const recommendationService = require('./recommendation.service');
+const { MATCH_KIND } = require('./fingerprint.matcher');
 
-const SIMILARITY_THRESHOLD = 70; // 70% similarity match tolerance
+// Maximum number of ranked matches returned per upload (all are stored)
+const SIMILARITY_TOP_K = parseInt(process.env.SIMILARITY_TOP_K, 10) || 10;
 
-function hammingDistance(a, b) {
-  const fp1 = (a || '').trim();
-  const fp2 = (b || '').trim();
+// Inverted index lookup: sub-fingerprints are quantized to their 20 highest-order
+// bits (coarse keys that tolerate small bit flips in the low bits) and files
+// sharing enough keys are scored in full
+const INDEX_KEY_SHIFT = 12;
+const CANDIDATE_MIN_HITS = 5;
+const CANDIDATE_LIMIT = 200;
 
-  if (!fp1 || !fp2) {
-    return Infinity;
+// Review states of a warning; false positives are never flagged again
+const WARNING_STATUS = {
+  OPEN: 'open',
+  CONFIRMED_DUPLICATE: 'confirmed_duplicate',
+  FALSE_POSITIVE: 'false_positive',
+  DISMISSED: 'dismissed'
+};
+
+// 'index' scores only indexed candidates, 'scan' compares against every file
+const CANDIDATE_MODE = process.env.SIMILARITY_CANDIDATE_MODE || 'index';
+
+/**
+ * Quantize raw sub-fingerprints into distinct inverted-index keys
+ */
+function toIndexKeys(rawFingerprint) {
+  const keys = new Set();
+  for (const value of rawFingerprint || []) {
+    keys.add(value >>> INDEX_KEY_SHIFT);
   }
+  return [...keys];
+}
 
-  try {
-    const bin1 = Buffer.from(fp1, 'base64');
-    const bin2 = Buffer.from(fp2, 'base64');
-
-    const minLen = Math.min(bin1.length, bin2.length);
-    let distance = Math.abs(bin1.length - bin2.length) * 8;
-
-    for (let i = 0; i < minLen; i++) {
-      let xor = bin1[i] ^ bin2[i];
-      while (xor) {
-        distance += xor & 1;
-        xor >>= 1;
-      }
-    }
+function roundRange(range, digits = 3) {
+  return {
+    startSeconds: parseFloat(range.startSeconds.toFixed(digits)),
+    endSeconds: parseFloat(range.endSeconds.toFixed(digits))
+  };
+}
 
-    return distance;
-  } catch (err) {
-    logger.error({ error: err.message }, 'Fingerprint decoding failed');
-    return Infinity;
+/**
+ * Load fingerprints worth scoring against the given one.
+ * Only files fingerprinted by the same engine and version, and not in the trash, are returned.
+ * Index mode returns files sharing at least CANDIDATE_MIN_HITS index keys,
+ * most hits first; scan mode returns every processed file.
+ */
+async function loadCandidates(audioId, rawFingerprint, engine, mode = CANDIDATE_MODE) {
+  if (mode === 'scan') {
+    const result = await pool.query(
+      `SELECT id, raw_fingerprint, original_filename
+       FROM audio_files
+       WHERE id != $1
+         AND deleted_at IS NULL
+         AND raw_fingerprint IS NOT NULL
+         AND fingerprint_engine = $2
+         AND fingerprint_engine_version = $3`,
+      [audioId, engine.name, engine.version]
+    );
+    return result.rows;
+  }
+
+  // Trashed and other-engine files are filtered before the LIMIT so they
+  // cannot take candidate slots from comparable files
+  const result = await pool.query(
+    `WITH hits AS (
+       SELECT fi.audio_id, COUNT(*) AS hit_count
+       FROM fingerprint_index fi
+       JOIN audio_files af ON af.id = fi.audio_id
+       WHERE fi.hash_key = ANY($2::int[])
+         AND fi.audio_id != $1
+         AND af.raw_fingerprint IS NOT NULL
+         AND af.deleted_at IS NULL
+         AND af.fingerprint_engine = $5
+         AND af.fingerprint_engine_version = $6
+       GROUP BY fi.audio_id
+       HAVING COUNT(*) >= $3
+       ORDER BY hit_count DESC
+       LIMIT $4
+     )
+     SELECT af.id, af.raw_fingerprint, af.original_filename
+     FROM hits
+     JOIN audio_files af ON af.id = hits.audio_id
+     ORDER BY hits.hit_count DESC`,
+    [
+      audioId,
+      toIndexKeys(rawFingerprint),
+      CANDIDATE_MIN_HITS,
+      CANDIDATE_LIMIT,
+      engine.name,
+      engine.version
+    ]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Files a reviewer has marked as a false positive against the given one (either side)
+ */
+async function loadFalsePositiveIds(audioId) {
+  const { rows } = await pool.query(
+    `SELECT CASE WHEN audio_id_a = $1 THEN audio_id_b ELSE audio_id_a END AS id
+     FROM similarity_warnings
+     WHERE (audio_id_a = $1 OR audio_id_b = $1) AND status = $2`,
+    [audioId, WARNING_STATUS.FALSE_POSITIVE]
+  );
+  return new Set(rows.map(row => row.id));
+}
+
+/**
+ * Persist a warning for one match and notify subscribers
+ */
+async function recordWarning(audioId, filename, row, match, tiers) {
+  const similarityPercent = match.similarityPercent.toFixed(2);
+  const tier = settingsService.classifyTier(match.similarityPercent, tiers);
+  const offsetSeconds = parseFloat(match.offsetSeconds.toFixed(3));
+
+  // For excerpts the warning reads "file A is an excerpt of file B",
+  // so the shorter file is always stored on side A
+  const swap = match.kind === MATCH_KIND.EXCERPT_OF && match.excerptSide === 'b';
+  const sideA = swap
+    ? { id: row.id, filename: row.original_filename, range: roundRange(match.rangeB) }
+    : { id: audioId, filename, range: roundRange(match.rangeA) };
+  const sideB = swap
+    ? { id: audioId, filename, range: roundRange(match.rangeA) }
+    : { id: row.id, filename: row.original_filename, range: roundRange(match.rangeB) };
+
+  // Log similar file found
+  logger.warn(
+    {
+      audioId,
+      filename,
+      similarAudioId: row.id,
+      similarFilename: row.original_filename,
+      similarity: `${similarityPercent}%`,
+      matchKind: match.kind,
+      tier,
+      offsetSeconds,
+      status: 'SIMILAR_FILE'
+    },
+    'Similar audio file detected - warning generated'
+  );
+
+  // Store warning in database; a pair already warned about (in either
+  // orientation) is left as is, e.g. when a file is reprocessed
+  const inserted = await pool.query(
+    `INSERT INTO similarity_warnings (
+       audio_id_a, audio_id_b, filename_a, filename_b, similarity_percent,
+       offset_seconds, match_kind, tier,
+       start_seconds_a, end_seconds_a, start_seconds_b, end_seconds_b
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT ((LEAST(audio_id_a, audio_id_b)), (GREATEST(audio_id_a, audio_id_b)))
+     DO NOTHING`,
+    [
+      sideA.id,
+      sideB.id,
+      sideA.filename,
+      sideB.filename,
+      similarityPercent,
+      swap ? -offsetSeconds : offsetSeconds,
+      match.kind,
+      tier,
+      sideA.range.startSeconds,
+      sideA.range.endSeconds,
+      sideB.range.startSeconds,
+      sideB.range.endSeconds
+    ]
+  );
+
+  // Notify connected clients of new pairs only
+  if (inserted.rowCount > 0) {
+    const [recommendation] = await recommendationService.recommendForPairs([
+      [sideA.id, sideB.id]
+    ]);
+
+    notifyWarning(sideA.id, sideB.id, sideA.filename, sideB.filename, similarityPercent, {
+      recommendation,
+      matchKind: match.kind,
+      tier,
+      offsetSeconds: swap ? -offsetSeconds : offsetSeconds,
+      rangeA: sideA.range,
+      rangeB: sideB.range
+    });
   }
+
+  return {
+    id: row.id,
+    filename: row.original_filename,
+    similarity: similarityPercent,
+    matchKind: match.kind,
+    tier,
+    offsetSeconds
+  };
 }
 
-async function findSimilar(audioId, fingerprint, filename) {
+/**
+ * Score candidates with the engine's comparison and record a warning for
+ * every match above threshold.
+ * Returns the matches ranked best score first, capped at SIMILARITY_TOP_K.
+ */
+async function findSimilar(audioId, rawFingerprint, filename, engine) {
   try {
     logger.debug(
       { audioId, filename },
       'Starting similarity check against existing files'
     );
 
-    // Find all processed fingerprints
-    const result = await pool.query(
-      `SELECT id, perceptual_hash, original_filename
-       FROM audio_files
-       WHERE id != $1 AND perceptual_hash IS NOT NULL`,
-      [audioId]
+    const { tiers, threshold } = await settingsService.getSimilaritySettings();
+    const falsePositiveIds = await loadFalsePositiveIds(audioId);
+    const candidates = (await loadCandidates(audioId, rawFingerprint, engine)).filter(
+      row => !falsePositiveIds.has(row.id)
     );
 
     logger.debug(
-      { audioId, filesChecked: result.rowCount },
-      `Comparing against ${result.rowCount} existing fingerprints`
+      { audioId, filesChecked: candidates.length, candidateMode: CANDIDATE_MODE, threshold },
+      `Comparing against ${candidates.length} existing fingerprints`
     );
 
-    // Check similarity against all existing fingerprints
-    for (const row of result.rows) {
-      const distance = hammingDistance(fingerprint, row.perceptual_hash);
-      const maxBits = Math.max(fingerprint.length, row.perceptual_hash.length) * 6;
-      const similarityPercent = ((maxBits - distance) / maxBits) * 100;
-
-      if (similarityPercent >= SIMILARITY_THRESHOLD) {
-        // Log similar file found
-        logger.warn(
-          {
-            audioId,
-            filename,
-            similarAudioId: row.id,
-            similarFilename: row.original_filename,
-            similarity: `${similarityPercent.toFixed(2)}%`,
-            status: 'SIMILAR_FILE'
-          },
-          'Similar audio file detected - warning generated'
-        );
-
-        // Store warning in database
-        await pool.query(
-          `INSERT INTO similarity_warnings (audio_id_a, audio_id_b, filename_a, filename_b, similarity_percent)
-           VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (audio_id_a, audio_id_b) DO NOTHING`,
-          [audioId, row.id, filename, row.original_filename, similarityPercent.toFixed(2)]
-        );
-
-        // Notify connected clients
-        notifyWarning(audioId, row.id, filename, row.original_filename, similarityPercent.toFixed(2));
-
-        return {
-          id: row.id,
-          filename: row.original_filename,
-          similarity: similarityPercent.toFixed(2)
-        };
-      }
+    // Score every candidate fingerprint, yielding between candidates so the
+    // worker (which shares the API process) does not stall HTTP and SSE traffic
+    const ranked = [];
+    for (const row of candidates) {
+      const match = engine.compare(rawFingerprint, row.raw_fingerprint, threshold);
+      if (match) ranked.push({ row, match });
+      await new Promise(resolve => setImmediate(resolve));
     }
+    ranked.sort((x, y) => y.match.similarityPercent - x.match.similarityPercent);
 
-    logger.debug(
-      { audioId, filename },
-      'No similar files found - file stored successfully'
+    if (ranked.length === 0) {
+      logger.debug(
+        { audioId, filename },
+        'No similar files found - file stored successfully'
+      );
+      return [];
+    }
+
+    const matches = [];
+    for (const { row, match } of ranked) {
+      matches.push(await recordWarning(audioId, filename, row, match, tiers));
+    }
+
+    logger.info(
+      { audioId, filename, matchCount: matches.length, bestMatchId: matches[0].id },
+      `Similarity check found ${matches.length} matching file(s)`
     );
 
-    return null;
+    return matches.slice(0, SIMILARITY_TOP_K);
   } catch (err) {
     logger.error(
       { audioId, error: err.message },
@@ -108,6 +261,64 @@ async function findSimilar(audioId, fingerprint, filename) {
   }
 }
 
+/**
+ * Files sharing a similarity warning with the given one
+ */
+async function getMatchedFileIds(audioId) {
+  const { rows } = await pool.query(
+    `SELECT CASE WHEN audio_id_a = $1 THEN audio_id_b ELSE audio_id_a END AS id
+     FROM similarity_warnings
+     WHERE audio_id_a = $1 OR audio_id_b = $1`,
+    [audioId]
+  );
+  return rows.map(row => row.id);
+}
+
+/**
+ * Recompute match_count, best_match_id and similarity_status of the given files
+ * from their stored warnings, ignoring false positives and warnings whose other
+ * file is in the trash
+ */
+async function refreshMatchSummary(audioIds) {
+  const ids = [...new Set(audioIds)];
+  if (ids.length === 0) return;
+
+  await pool.query(
+    `UPDATE audio_files af
+     SET match_count = s.match_count,
+         best_match_id = s.best_match_id,
+         similarity_status = CASE
+           WHEN af.similarity_status IN ('processed', 'similar_found')
+             THEN CASE WHEN s.match_count > 0 THEN 'similar_found' ELSE 'processed' END
+           ELSE af.similarity_status
+         END
+     FROM (
+       SELECT f.id,
+              COUNT(w.id) AS match_count,
+              (ARRAY_AGG(
+                 CASE WHEN w.audio_id_a = f.id THEN w.audio_id_b ELSE w.audio_id_a END
+                 ORDER BY w.similarity_percent DESC
+               ) FILTER (WHERE w.id IS NOT NULL))[1] AS best_match_id
+       FROM unnest($1::UUID[]) AS f(id)
+       LEFT JOIN similarity_warnings w
+         ON (w.audio_id_a = f.id OR w.audio_id_b = f.id)
+        AND w.status <> '${WARNING_STATUS.FALSE_POSITIVE}'
+        AND NOT EXISTS (
+          SELECT 1 FROM audio_files t
+          WHERE t.id IN (w.audio_id_a, w.audio_id_b) AND t.deleted_at IS NOT NULL
+        )
+       GROUP BY f.id
+     ) s
+     WHERE af.id = s.id`,
+    [ids]
+  );
+}
+
 module.exports = {
-  findSimilar
-};
\ No newline at end of file
+  WARNING_STATUS,
+  findSimilar,
+  getMatchedFileIds,
+  refreshMatchSummary,
+  loadCandidates,
+  toIndexKeys
+};
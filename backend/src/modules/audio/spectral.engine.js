@@ -0,0 +1,177 @@
+const logger = require('../logging/logger');
+const matcher = require('./fingerprint.matcher');
+const { decodeToMono } = require('./pcm.decoder');
+
+const ENGINE_NAME = 'spectral';
+
+// Bump whenever the algorithm changes so old fingerprints are not compared with new ones
+const ENGINE_VERSION = '1';
+
+// Analysis parameters: same frame rate as Chromaprint so the matcher tuning carries over
+const SAMPLE_RATE = 11025;
+const FRAME_SIZE = 4096;
+const HOP_SIZE = 1365;
+const ITEM_SECONDS = HOP_SIZE / SAMPLE_RATE;
+
+// 33 logarithmically spaced bands between 300 Hz and 2 kHz give 32 energy-difference bits
+const BAND_COUNT = 33;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+
+/**
+ * Build an in-place radix-2 FFT for a fixed power-of-two size
+ */
+function createFft(size) {
+  const levels = Math.log2(size);
+  const cosTable = new Float64Array(size / 2);
+  const sinTable = new Float64Array(size / 2);
+  const reversed = new Uint32Array(size);
+
+  for (let i = 0; i < size / 2; i++) {
+    cosTable[i] = Math.cos((2 * Math.PI * i) / size);
+    sinTable[i] = Math.sin((2 * Math.PI * i) / size);
+  }
+
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let bit = 0; bit < levels; bit++) {
+      r = (r << 1) | ((i >>> bit) & 1);
+    }
+    reversed[i] = r;
+  }
+
+  return function fft(re, im) {
+    for (let i = 0; i < size; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const a = start + k;
+          const b = a + half;
+          const tRe = re[b] * cosTable[k * step] + im[b] * sinTable[k * step];
+          const tIm = im[b] * cosTable[k * step] - re[b] * sinTable[k * step];
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+        }
+      }
+    }
+  };
+}
+
+const fft = createFft(FRAME_SIZE);
+
+const hannWindow = Float64Array.from(
+  { length: FRAME_SIZE },
+  (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1))
+);
+
+// FFT bin boundaries of each band
+const bandEdges = Array.from({ length: BAND_COUNT + 1 }, (_, i) => {
+  const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, i / BAND_COUNT);
+  return Math.round((frequency * FRAME_SIZE) / SAMPLE_RATE);
+});
+
+function bandEnergies(samples, start, re, im) {
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    re[i] = samples[start + i] * hannWindow[i];
+    im[i] = 0;
+  }
+
+  fft(re, im);
+
+  const energies = new Float64Array(BAND_COUNT);
+  for (let band = 0; band < BAND_COUNT; band++) {
+    let energy = 0;
+    for (let bin = bandEdges[band]; bin < bandEdges[band + 1]; bin++) {
+      energy += re[bin] * re[bin] + im[bin] * im[bin];
+    }
+    energies[band] = energy;
+  }
+  return energies;
+}
+
+/**
+ * Band-energy difference fingerprint: bit m of item n is set when the energy
+ * difference between bands m and m+1 grew since the previous frame
+ */
+function fingerprintSamples(samples) {
+  const raw = [];
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  let previous = null;
+
+  for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+    const energies = bandEnergies(samples, start, re, im);
+
+    if (previous) {
+      let bits = 0;
+      for (let band = 0; band < BAND_COUNT - 1; band++) {
+        const delta =
+          energies[band] - energies[band + 1] - (previous[band] - previous[band + 1]);
+        if (delta > 0) {
+          bits |= 1 << band;
+        }
+      }
+      raw.push(bits | 0);
+    }
+
+    previous = energies;
+  }
+
+  return raw;
+}
+
+async function init() {
+  logger.info(
+    { engine: ENGINE_NAME, version: ENGINE_VERSION },
+    'Spectral fingerprint engine ready'
+  );
+  return { engine: ENGINE_NAME, version: ENGINE_VERSION };
+}
+
+/**
+ * Fingerprint a local WAV or raw PCM file without external binaries
+ */
+async function compute(filePath) {
+  const { samples, duration } = decodeToMono(filePath, SAMPLE_RATE);
+  const raw = fingerprintSamples(samples);
+
+  if (raw.length === 0) {
+    throw new Error('Fingerprint not generated: audio shorter than one analysis frame');
+  }
+
+  return {
+    fingerprint: Buffer.from(Int32Array.from(raw).buffer).toString('base64'),
+    raw,
+    duration,
+    engine: ENGINE_NAME,
+    version: ENGINE_VERSION
+  };
+}
+
+/**
+ * Compare two spectral fingerprints
+ */
+function compare(rawA, rawB, threshold) {
+  return matcher.compareFingerprints(rawA, rawB, {
+    itemSeconds: ITEM_SECONDS,
+    threshold
+  });
+}
+
+module.exports = {
+  name: ENGINE_NAME,
+  init,
+  compute,
+  compare,
+  fingerprintSamples
+};
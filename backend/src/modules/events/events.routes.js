@@ -0,0 +1,9 @@
+const express = require('express');
+const { subscribeToEvents } = require('../upload/sse.controller');
+
+const router = express.Router();
+
+// SSE stream of every file's events; ?audioIds=, ?types=, ?minSimilarity= narrow it
+router.get('/', subscribeToEvents);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const pool = require('../../config/db');
+const redis = require('../../config/redis');
+const logger = require('../logging/logger');
+
+/**
+ * Realtime events go through one Redis channel so every API instance can fan them
+ * out to its own SSE subscribers, whichever process (API or worker) produced them.
+ * Each event is first appended to the `realtime_events` log, whose id becomes the
+ * SSE event id used for Last-Event-ID replay.
+ * Message format: { id, audioIds: [...], event: {...} }
+ */
+const EVENTS_CHANNEL = process.env.EVENTS_CHANNEL || 'audio-events';
+
+// How long logged events stay available for replay
+const EVENT_RETENTION_HOURS = parseInt(process.env.EVENT_RETENTION_HOURS, 10) || 24;
+
+// Events read from the log per replay query; callers page until a short page
+const REPLAY_PAGE_SIZE = 500;
+
+// Publishes give up after this long (or one failed reconnect) and fall back to local delivery
+const PUBLISH_TIMEOUT_MS = parseInt(process.env.EVENTS_PUBLISH_TIMEOUT_MS, 10) || 2000;
+
+const handlers = new Set();
+
+let subscriber = null;
+let publisher = null;
+
+/**
+ * Connection used for publishing. The shared connection retries forever
+ * (maxRetriesPerRequest: null, as BullMQ requires), which would queue publishes
+ * indefinitely while Redis is down instead of failing over to local delivery.
+ */
+function getPublisher() {
+  if (!publisher) {
+    publisher = redis.duplicate({
+      maxRetriesPerRequest: 1,
+      commandTimeout: PUBLISH_TIMEOUT_MS
+    });
+    publisher.on('error', err => {
+      logger.debug({ error: err.message }, 'Event publisher connection error');
+    });
+  }
+  return publisher;
+}
+
+function dispatch(message) {
+  handlers.forEach(handler => {
+    try {
+      handler(message);
+    } catch (err) {
+      logger.error({ error: err.message, event: message.event?.type }, 'Event handler failed');
+    }
+  });
+}
+
+/**
+ * Register a local handler for events received on the channel
+ */
+function onEvent(handler) {
+  handlers.add(handler);
+  return () => handlers.delete(handler);
+}
+
+/**
+ * Append an event to the log and publish it for the given audio files. When Redis is unreachable the event
+ * is still delivered to this instance's subscribers.
+ */
+async function publish(audioIds, event) {
+  const message = { id: null, audioIds, event };
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO realtime_events (audio_ids, type, payload)
+       VALUES ($1::UUID[], $2, $3)
+       RETURNING id`,
+      [audioIds, event.type, event]
+    );
+    message.id = Number(rows[0].id);
+  } catch (err) {
+    // Still deliver live; the event just cannot be replayed
+    logger.error({ error: err.message, event: event.type }, 'Failed to log realtime event');
+  }
+
+  try {
+    await getPublisher().publish(EVENTS_CHANNEL, JSON.stringify(message));
+  } catch (err) {
+    logger.warn(
+      { error: err.message, event: event.type },
+      'Event publish failed - delivering locally only'
+    );
+    dispatch(message);
+  }
+}
+
+/**
+ * Subscribe this instance to the channel. A subscribed ioredis connection cannot run
+ * other commands, so a dedicated duplicate connection is used.
+ */
+async function start() {
+  if (subscriber) return;
+
+  subscriber = redis.duplicate();
+
+  subscriber.on('message', (channel, payload) => {
+    if (channel !== EVENTS_CHANNEL) return;
+
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (err) {
+      logger.warn({ error: err.message }, 'Ignoring malformed event message');
+      return;
+    }
+
+    dispatch(message);
+  });
+
+  await subscriber.subscribe(EVENTS_CHANNEL);
+  logger.info({ channel: EVENTS_CHANNEL }, 'Subscribed to realtime events');
+}
+
+/**
+ * Up to REPLAY_PAGE_SIZE logged events with an id greater than `afterId`, oldest
+ * first; `audioIds` limits them to events concerning any of those files (null for
+ * every file)
+ */
+async function getEventsSince(audioIds, afterId = 0) {
+  const { rows } = await pool.query(
+    `SELECT id, audio_ids, payload
+     FROM realtime_events
+     WHERE ($1::UUID[] IS NULL OR audio_ids && $1::UUID[]) AND id > $2
+     ORDER BY id
+     LIMIT $3`,
+    [audioIds, afterId, REPLAY_PAGE_SIZE]
+  );
+
+  return rows.map(row => ({ id: Number(row.id), audioIds: row.audio_ids, event: row.payload }));
+}
+
+/**
+ * Drop events older than the replay window
+ */
+async function pruneEvents() {
+  const { rowCount } = await pool.query(
+    `DELETE FROM realtime_events
+     WHERE created_at < NOW() - make_interval(hours => $1)`,
+    [EVENT_RETENTION_HOURS]
+  );
+
+  if (rowCount > 0) {
+    logger.info({ pruned: rowCount }, 'Old realtime events pruned');
+  }
+
+  return rowCount;
+}
+
+module.exports = {
+  EVENTS_CHANNEL,
+  REPLAY_PAGE_SIZE,
+  onEvent,
+  publish,
+  getEventsSince,
+  pruneEvents,
+  start
+};
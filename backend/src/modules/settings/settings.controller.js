@@ -0,0 +1,36 @@
+const settingsService = require('./settings.service');
+const logger = require('../logging/logger');
+
+/**
+ * Get similarity thresholds and tiers
+ */
+async function getSimilaritySettings(req, res, next) {
+  try {
+    const settings = await settingsService.getSimilaritySettings();
+    res.json(settings);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to retrieve similarity settings');
+    next(err);
+  }
+}
+
+/**
+ * Update similarity tier minimums
+ */
+async function updateSimilaritySettings(req, res, next) {
+  try {
+    if (!req.body || typeof req.body.tiers !== 'object' || req.body.tiers === null) {
+      return res.status(400).json({ error: 'tiers object required' });
+    }
+
+    const settings = await settingsService.updateSimilaritySettings(req.body);
+    res.json(settings);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getSimilaritySettings,
+  updateSimilaritySettings
+};
@@ -0,0 +1,12 @@
+const express = require('express');
+const {
+  getSimilaritySettings,
+  updateSimilaritySettings
+} = require('./settings.controller');
+
+const router = express.Router();
+
+router.get('/similarity', getSimilaritySettings);
+router.put('/similarity', updateSimilaritySettings);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const pool = require('../../config/db');
+const logger = require('../logging/logger');
+
+const SIMILARITY_SETTINGS_KEY = 'similarity';
+
+// Tier order matters: the first tier whose minimum is reached wins
+const TIER_NAMES = ['identical', 'likely_duplicate', 'possible'];
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Tier minimums from env, used until overridden through the settings table
+ */
+function getDefaultTiers() {
+  return {
+    identical: envNumber('SIMILARITY_TIER_IDENTICAL', 95),
+    likely_duplicate: envNumber('SIMILARITY_TIER_LIKELY_DUPLICATE', 85),
+    possible: envNumber('SIMILARITY_TIER_POSSIBLE', 70)
+  };
+}
+
+function toSimilaritySettings(tiers, updatedAt = null) {
+  return {
+    tiers,
+    // Anything below the lowest tier never raises a warning
+    threshold: tiers.possible,
+    updatedAt
+  };
+}
+
+/**
+ * Validate tier minimums: numbers in 0-100, ordered identical >= likely_duplicate >= possible
+ */
+function validateTiers(tiers) {
+  for (const name of TIER_NAMES) {
+    const value = tiers[name];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+      return `Tier "${name}" must be a number between 0 and 100`;
+    }
+  }
+
+  if (tiers.identical < tiers.likely_duplicate || tiers.likely_duplicate < tiers.possible) {
+    return 'Tiers must be ordered identical >= likely_duplicate >= possible';
+  }
+
+  return null;
+}
+
+/**
+ * Load similarity settings (DB overrides on top of env defaults)
+ */
+async function getSimilaritySettings() {
+  const { rows } = await pool.query(
+    `SELECT value, updated_at FROM app_settings WHERE key = $1`,
+    [SIMILARITY_SETTINGS_KEY]
+  );
+
+  const stored = rows[0];
+  const tiers = { ...getDefaultTiers(), ...(stored?.value?.tiers || {}) };
+
+  return toSimilaritySettings(tiers, stored ? stored.updated_at : null);
+}
+
+/**
+ * Merge and persist new tier minimums
+ */
+async function updateSimilaritySettings(update) {
+  const current = await getSimilaritySettings();
+  const tiers = { ...current.tiers };
+
+  for (const name of TIER_NAMES) {
+    if (update?.tiers?.[name] !== undefined) {
+      tiers[name] = update.tiers[name];
+    }
+  }
+
+  const validationError = validateTiers(tiers);
+  if (validationError) {
+    const err = new Error(validationError);
+    err.status = 400;
+    throw err;
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO app_settings (key, value, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (key)
+     DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at
+     RETURNING updated_at`,
+    [SIMILARITY_SETTINGS_KEY, { tiers }]
+  );
+
+  logger.info({ tiers }, 'Similarity settings updated');
+
+  return toSimilaritySettings(tiers, rows[0].updated_at);
+}
+
+/**
+ * Name the tier a similarity score falls into, or null below every tier
+ */
+function classifyTier(similarityPercent, tiers) {
+  return TIER_NAMES.find(name => similarityPercent >= tiers[name]) || null;
+}
+
+module.exports = {
+  TIER_NAMES,
+  getSimilaritySettings,
+  updateSimilaritySettings,
+  classifyTier
+};
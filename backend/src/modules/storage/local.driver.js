@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Buckets become sub-directories of this root
+const STORAGE_ROOT = path.resolve(
+  process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../../storage')
+);
+
+function notFound(bucket, key) {
+  const err = new Error(`Object ${bucket}/${key} not found`);
+  err.status = 404;
+  return err;
+}
+
+/**
+ * Absolute path of an object; keys may not escape their bucket directory
+ */
+function objectPath(bucket, key) {
+  const bucketDir = path.join(STORAGE_ROOT, bucket);
+  const filePath = path.resolve(bucketDir, key);
+
+  if (!filePath.startsWith(bucketDir + path.sep)) {
+    const err = new Error(`Invalid object key: ${key}`);
+    err.status = 400;
+    throw err;
+  }
+
+  return filePath;
+}
+
+async function init() {
+  await fs.promises.mkdir(STORAGE_ROOT, { recursive: true });
+  return { driver: 'local', root: STORAGE_ROOT };
+}
+
+/**
+ * Write to a temp name first so readers never see a partial object.
+ * Like Supabase (no upsert), an existing key is a 409.
+ */
+async function put(bucket, key, body) {
+  const filePath = objectPath(bucket, key);
+
+  if (await exists(bucket, key)) {
+    const err = new Error(`Object ${bucket}/${key} already exists`);
+    err.status = 409;
+    throw err;
+  }
+
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    const source = body instanceof Readable ? body : Readable.from([body]);
+    await pipeline(source, fs.createWriteStream(tempPath, { flags: 'wx' }));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+async function move(fromBucket, key, toBucket, toKey = key) {
+  const fromPath = objectPath(fromBucket, key);
+  const toPath = objectPath(toBucket, toKey);
+
+  await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+
+  try {
+    await fs.promises.rename(fromPath, toPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') throw notFound(fromBucket, key);
+    throw err;
+  }
+}
+
+/**
+ * Stream an object; { start, end } (inclusive) requests a byte range
+ */
+async function getStream(bucket, key, { start, end } = {}) {
+  const filePath = objectPath(bucket, key);
+
+  if (!(await exists(bucket, key))) {
+    throw notFound(bucket, key);
+  }
+
+  return fs.createReadStream(filePath, { start, end });
+}
+
+async function remove(bucket, keys) {
+  await Promise.all(
+    keys.map(key => fs.promises.rm(objectPath(bucket, key), { force: true }))
+  );
+}
+
+async function exists(bucket, key) {
+  try {
+    const stats = await fs.promises.stat(objectPath(bucket, key));
+    return stats.isFile();
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+/**
+ * Objects in the bucket whose key starts with `prefix`
+ */
+async function list(bucket, { prefix = '' } = {}) {
+  const bucketDir = path.join(STORAGE_ROOT, bucket);
+  let names;
+
+  try {
+    names = await fs.promises.readdir(bucketDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const objects = [];
+  for (const name of names) {
+    if (!name.startsWith(prefix) || name.endsWith('.tmp')) continue;
+
+    const stats = await fs.promises.stat(path.join(bucketDir, name));
+    if (stats.isFile()) {
+      objects.push({ key: name, size: stats.size, updatedAt: stats.mtime });
+    }
+  }
+
+  return objects;
+}
+
+module.exports = {
+  name: 'local',
+  init,
+  put,
+  move,
+  getStream,
+  remove,
+  exists,
+  list
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const logger = require('../logging/logger');
+const supabaseDriver = require('./supabase.driver');
+const localDriver = require('./local.driver');
+
+/**
+ * Storage drivers share one interface (keys are flat object names inside a bucket):
+ *   init()                                  - verify/prepare the backend
+ *   put(bucket, key, body, { contentType }) - body is a Buffer or Readable
+ *   move(fromBucket, key, toBucket, toKey?)
+ *   getStream(bucket, key, { start, end }?) - Readable; 404 error when missing
+ *   remove(bucket, keys)
+ *   exists(bucket, key)                     - boolean
+ *   list(bucket, { prefix }?)               - [{ key, size, updatedAt }]
+ */
+const drivers = {
+  [supabaseDriver.name]: supabaseDriver,
+  [localDriver.name]: localDriver
+};
+
+const BUCKETS = {
+  TEMP: 'temp-uploads',
+  AUDIO: 'audio-files'
+};
+
+const DEFAULT_DRIVER = 'supabase';
+
+let activeDriver = null;
+
+/**
+ * Driver selected by STORAGE_DRIVER (resolved once per process)
+ */
+function getStorage() {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || DEFAULT_DRIVER;
+    const driver = drivers[name];
+
+    if (!driver) {
+      throw new Error(
+        `Unknown storage driver "${name}". Available: ${Object.keys(drivers).join(', ')}`
+      );
+    }
+
+    activeDriver = driver;
+  }
+
+  return activeDriver;
+}
+
+/**
+ * Check the configured driver at startup
+ */
+async function init() {
+  const storage = getStorage();
+  const result = await storage.init();
+
+  if (result.warning) {
+    logger.warn({ driver: storage.name, error: result.warning }, 'Storage warning');
+  } else {
+    logger.info({ driver: storage.name, root: result.root }, 'Storage ready');
+  }
+
+  return result;
+}
+
+/**
+ * Copy an object into a local file (e.g. for fpcalc, which needs a path)
+ */
+async function downloadToFile(bucket, key, filePath) {
+  const stream = await getStorage().getStream(bucket, key);
+  await pipeline(stream, fs.createWriteStream(filePath));
+  return filePath;
+}
+
+module.exports = {
+  BUCKETS,
+  getStorage,
+  init,
+  downloadToFile
+};
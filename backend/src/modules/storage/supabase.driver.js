@@ -0,0 +1,132 @@
+const { Readable } = require('stream');
+const { buffer: streamToBuffer } = require('stream/consumers');
+
+// Seconds a signed URL used for streaming downloads stays valid
+const SIGNED_URL_TTL_SECONDS = 60;
+
+// Page size when listing a bucket
+const LIST_PAGE_SIZE = 1000;
+
+let client = null;
+
+// Created on first use so the local driver never needs Supabase credentials
+function getClient() {
+  if (!client) {
+    client = require('../../config/supabase');
+  }
+  return client;
+}
+
+function toError(error, fallback) {
+  const err = new Error(error?.message || fallback);
+  const status = Number(error?.statusCode || error?.status);
+  if (status) err.status = status;
+  return err;
+}
+
+async function init() {
+  const { error } = await getClient().auth.getSession();
+  if (error) {
+    return { driver: 'supabase', warning: error.message };
+  }
+  return { driver: 'supabase' };
+}
+
+async function put(bucket, key, body, { contentType } = {}) {
+  const data = body instanceof Readable ? await streamToBuffer(body) : body;
+
+  const { error } = await getClient().storage
+    .from(bucket)
+    .upload(key, data, { contentType });
+
+  if (error) throw toError(error, `Upload of ${bucket}/${key} failed`);
+}
+
+async function move(fromBucket, key, toBucket, toKey = key) {
+  const { error } = await getClient().storage
+    .from(fromBucket)
+    .move(key, toKey, { destinationBucket: toBucket });
+
+  if (error) throw toError(error, `Move of ${fromBucket}/${key} failed`);
+}
+
+/**
+ * Stream an object; { start, end } (inclusive) requests a byte range
+ */
+async function getStream(bucket, key, { start, end } = {}) {
+  const { data, error } = await getClient().storage
+    .from(bucket)
+    .createSignedUrl(key, SIGNED_URL_TTL_SECONDS);
+
+  if (error) throw toError(error, `Object ${bucket}/${key} not found`);
+
+  const headers = {};
+  if (start !== undefined) {
+    headers.Range = `bytes=${start}-${end ?? ''}`;
+  }
+
+  const response = await fetch(data.signedUrl, { headers });
+  if (!response.ok) {
+    const err = new Error(`Download of ${bucket}/${key} failed (${response.status})`);
+    err.status = response.status;
+    throw err;
+  }
+
+  return Readable.fromWeb(response.body);
+}
+
+async function remove(bucket, keys) {
+  const { error } = await getClient().storage.from(bucket).remove(keys);
+  if (error) throw toError(error, `Delete from ${bucket} failed`);
+}
+
+async function exists(bucket, key) {
+  const { data, error } = await getClient().storage.from(bucket).exists(key);
+  if (error && !data) {
+    // exists() reports a missing object as an error with status 400/404
+    const status = Number(error.statusCode || error.status);
+    if (status === 400 || status === 404) return false;
+    throw toError(error, `Lookup of ${bucket}/${key} failed`);
+  }
+  return Boolean(data);
+}
+
+/**
+ * Objects at the bucket root whose key starts with `prefix`
+ */
+async function list(bucket, { prefix = '' } = {}) {
+  const objects = [];
+
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await getClient().storage
+      .from(bucket)
+      .list('', { limit: LIST_PAGE_SIZE, offset, search: prefix });
+
+    if (error) throw toError(error, `Listing ${bucket} failed`);
+
+    for (const item of data) {
+      if (item.id && item.name.startsWith(prefix)) {
+        objects.push({
+          key: item.name,
+          size: item.metadata?.size ?? null,
+          updatedAt: item.updated_at
+        });
+      }
+    }
+
+    if (data.length < LIST_PAGE_SIZE) break;
+  }
+
+  return objects;
+}
+
+module.exports = {
+  name: 'supabase',
+  init,
+  put,
+  move,
+  getStream,
+  remove,
+  exists,
+  list
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+
+// Upper bound on bytes extracted from one archive (zip bombs, runaway tarballs)
+const MAX_EXTRACTED_BYTES =
+  parseInt(process.env.BATCH_MAX_EXTRACTED_BYTES, 10) || 2 * 1024 * 1024 * 1024;
+
+const ARCHIVE_MIME_TYPES = {
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+  'application/x-tar': 'tar',
+  'application/gzip': 'tgz',
+  'application/x-gzip': 'tgz',
+  'application/x-gtar': 'tgz'
+};
+
+const AUDIO_MIME_BY_EXTENSION = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/m4a',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac'
+};
+
+/**
+ * Archive kind ('zip', 'tar', 'tgz') of an uploaded file, or null
+ */
+function getArchiveType(file) {
+  const name = (file.originalname || '').toLowerCase();
+
+  if (name.endsWith('.zip')) return 'zip';
+  if (name.endsWith('.tar')) return 'tar';
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tgz';
+
+  return ARCHIVE_MIME_TYPES[file.mimetype] || null;
+}
+
+/**
+ * Archive entries carry no MIME type, so derive it from the extension
+ */
+function mimeTypeFromFilename(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return AUDIO_MIME_BY_EXTENSION[ext] || 'application/octet-stream';
+}
+
+/**
+ * Skip directories and OS metadata (__MACOSX/, ._ resource forks, dotfiles and
+ * dot-directories) at any depth; `./` prefixes written by `tar -C dir .` are ignored
+ */
+function isIgnoredEntry(entryName) {
+  const parts = entryName.split('/').filter(part => part && part !== '.');
+  return (
+    parts.length === 0 ||
+    parts.some(part => part === '__MACOSX' || part.startsWith('.'))
+  );
+}
+
+function createExtractor(destDir, maxEntries) {
+  const entries = [];
+  let extractedBytes = 0;
+
+  /**
+   * Write one entry under a random name (never the archive path, so no zip-slip).
+   * Fails before writing once the archive holds more than maxEntries audio candidates.
+   */
+  async function writeEntry(entryName, stream) {
+    if (entries.length >= maxEntries) {
+      const err = new Error(`Archive has more than ${maxEntries} entries`);
+      err.status = 413;
+      err.code = 'ENTRY_LIMIT';
+      throw err;
+    }
+
+    const localPath = path.join(destDir, crypto.randomUUID());
+    let size = 0;
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      extractedBytes += chunk.length;
+
+      if (extractedBytes > MAX_EXTRACTED_BYTES) {
+        const err = new Error('Archive exceeds the maximum extracted size');
+        err.status = 413;
+        stream.destroy(err);
+      }
+    });
+
+    await pipeline(stream, fs.createWriteStream(localPath));
+
+    const originalname = path.basename(entryName);
+    entries.push({
+      path: localPath,
+      originalname,
+      mimetype: mimeTypeFromFilename(originalname),
+      size
+    });
+  }
+
+  return { entries, writeEntry };
+}
+
+function extractZip(archivePath, destDir, maxEntries) {
+  const { entries, writeEntry } = createExtractor(destDir, maxEntries);
+
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true }, (openErr, zipfile) => {
+      if (openErr) return reject(openErr);
+
+      const fail = err => {
+        zipfile.close();
+        reject(err);
+      };
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => resolve(entries));
+      zipfile.on('entry', entry => {
+        if (entry.fileName.endsWith('/') || isIgnoredEntry(entry.fileName)) {
+          zipfile.readEntry();
+          return;
+        }
+
+        zipfile.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return fail(streamErr);
+
+          writeEntry(entry.fileName, stream)
+            .then(() => zipfile.readEntry())
+            .catch(fail);
+        });
+      });
+
+      zipfile.readEntry();
+    });
+  });
+}
+
+async function extractTar(archivePath, destDir, gzipped, maxEntries) {
+  const { entries, writeEntry } = createExtractor(destDir, maxEntries);
+  const extract = tar.extract();
+
+  extract.on('entry', (header, stream, next) => {
+    if (header.type !== 'file' || isIgnoredEntry(header.name)) {
+      stream.resume();
+      stream.on('end', next);
+      return;
+    }
+
+    writeEntry(header.name, stream)
+      .then(() => next())
+      .catch(next);
+  });
+
+  const streams = [fs.createReadStream(archivePath)];
+  if (gzipped) streams.push(zlib.createGunzip());
+  streams.push(extract);
+
+  await pipeline(...streams);
+  return entries;
+}
+
+/**
+ * Extract the audio candidates of an archive into destDir, stopping with a 413
+ * (code ENTRY_LIMIT) as soon as there are more than maxEntries of them.
+ * Returns multer-like file objects ({ path, originalname, mimetype, size }).
+ */
+async function extractArchive(archivePath, archiveType, destDir, { maxEntries = Infinity } = {}) {
+  await fs.promises.mkdir(destDir, { recursive: true });
+
+  if (archiveType === 'zip') {
+    return extractZip(archivePath, destDir, maxEntries);
+  }
+
+  return extractTar(archivePath, destDir, archiveType === 'tgz', maxEntries);
+}
+
+module.exports = {
+  getArchiveType,
+  mimeTypeFromFilename,
+  extractArchive
+};
@@ -0,0 +1,59 @@
+const batchService = require('./batch.service');
+const logger = require('../logging/logger');
+
+/**
+ * Upload many files (field `audio`) or ZIP/TAR archives in one request.
+ * Waits for every entry by default; `?wait=false` answers 202 and processes in the background.
+ */
+async function uploadBatch(req, res, next) {
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const batch = await batchService.createBatch(files);
+
+    if (req.query.wait === 'false') {
+      batchService.processBatch(batch).catch(err => {
+        logger.error({ batchId: batch.batchId, error: err.message }, 'Upload batch failed');
+      });
+
+      res.setHeader('Location', `${req.baseUrl}/batch/${batch.batchId}`);
+      return res.status(202).json(await batchService.getBatch(batch.batchId));
+    }
+
+    await batchService.processBatch(batch);
+    const result = await batchService.getBatch(batch.batchId);
+
+    logger.info(
+      { batchId: batch.batchId, total: result.total, counts: result.counts },
+      'Upload batch processed'
+    );
+    res.json(result);
+  } catch (err) {
+    logger.error(
+      { error: err.message },
+      'Batch upload failed'
+    );
+    next(err);
+  }
+}
+
+/**
+ * Poll batch progress and per-file results
+ */
+async function getBatchStatus(req, res, next) {
+  try {
+    const batch = await batchService.getBatch(req.params.batchId);
+    res.json(batch);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  uploadBatch,
+  getBatchStatus
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pool = require('../../config/db');
+const logger = require('../logging/logger');
+const { processUpload, DUPLICATE_MATCH } = require('./upload.service');
+const { computeFileHash } = require('./upload.utils');
+const { getArchiveType, extractArchive } = require('./archive.utils');
+
+const BATCH_DIR = path.join(__dirname, '../../../uploads/batch');
+
+// Most entries one batch may contain (files or archive members)
+const MAX_BATCH_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 100;
+
+const ITEM_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DUPLICATE: 'duplicate',
+  UNSUPPORTED: 'unsupported',
+  FAILED: 'failed'
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.promises.rm(filePath, { force: true });
+  } catch (err) {
+    logger.warn({ file: filePath, error: err.message }, 'Failed to delete local temp file');
+  }
+}
+
+function batchLimitError() {
+  return httpError(413, `Batch exceeds the ${MAX_BATCH_FILES} file limit`);
+}
+
+/**
+ * Expand uploaded archives into their members; plain files pass through.
+ * Extraction stops as soon as the batch would exceed MAX_BATCH_FILES.
+ */
+async function expandFiles(files, workDir) {
+  const entries = [];
+
+  for (const file of files) {
+    const archiveType = getArchiveType(file);
+
+    if (!archiveType) {
+      entries.push(file);
+      continue;
+    }
+
+    try {
+      const members = await extractArchive(
+        file.path,
+        archiveType,
+        path.join(workDir, crypto.randomUUID()),
+        { maxEntries: Math.max(MAX_BATCH_FILES - entries.length, 0) }
+      );
+      logger.debug(
+        { archive: file.originalname, entries: members.length },
+        'Archive extracted'
+      );
+      entries.push(...members);
+    } catch (err) {
+      if (err.code === 'ENTRY_LIMIT') throw batchLimitError();
+      throw err.status ? err : httpError(400, `Could not read archive ${file.originalname}`);
+    } finally {
+      await removeFile(file.path);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Register a batch for the uploaded files (archives expanded) with one pending item per entry
+ */
+async function createBatch(files) {
+  const batchId = crypto.randomUUID();
+  const workDir = path.join(BATCH_DIR, batchId);
+
+  try {
+    const entries = await expandFiles(files, workDir);
+
+    if (entries.length === 0) {
+      throw httpError(400, 'Batch contains no files');
+    }
+
+    if (entries.length > MAX_BATCH_FILES) {
+      throw batchLimitError();
+    }
+
+    await pool.query(
+      `INSERT INTO upload_batches (id, total) VALUES ($1, $2)`,
+      [batchId, entries.length]
+    );
+
+    await pool.query(
+      `INSERT INTO upload_batch_items (batch_id, position, filename)
+       SELECT $1, position - 1, filename
+       FROM unnest($2::TEXT[]) WITH ORDINALITY AS t(filename, position)`,
+      [batchId, entries.map(entry => entry.originalname)]
+    );
+
+    logger.info({ batchId, total: entries.length }, 'Upload batch created');
+
+    return { batchId, entries, workDir };
+  } catch (err) {
+    await Promise.all(files.map(file => removeFile(file.path)));
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+async function saveItem(batchId, position, result) {
+  await pool.query(
+    `UPDATE upload_batch_items
+     SET status = $3,
+         audio_id = $4,
+         existing_audio_id = $5,
+         match_type = $6,
+         in_batch = $7,
+         error = $8,
+         updated_at = NOW()
+     WHERE batch_id = $1 AND position = $2`,
+    [
+      batchId,
+      position,
+      result.status,
+      result.audioId || null,
+      result.existingAudioId || null,
+      result.matchType || null,
+      Boolean(result.inBatch),
+      result.error || null
+    ]
+  );
+
+  await pool.query(
+    `UPDATE upload_batches SET updated_at = NOW() WHERE id = $1`,
+    [batchId]
+  );
+}
+
+/**
+ * Run one entry through the regular upload flow.
+ * seen maps content hash -> audio id already holding those bytes.
+ */
+async function processEntry(entry, seen, batchAudioIds) {
+  const contentHash = await computeFileHash(entry.path);
+
+  // Same bytes earlier in this batch: no need to upload again
+  if (seen.has(contentHash)) {
+    await removeFile(entry.path);
+    await pool.query(
+      `INSERT INTO upload_attempts (content_hash, was_duplicate) VALUES ($1, $2)`,
+      [contentHash, true]
+    );
+
+    return {
+      status: ITEM_STATUS.DUPLICATE,
+      existingAudioId: seen.get(contentHash),
+      matchType: DUPLICATE_MATCH.BYTE_IDENTICAL,
+      inBatch: true
+    };
+  }
+
+  // processUpload sniffs the format and removes the entry's file either way
+  let result;
+  try {
+    result = await processUpload({ ...entry, contentHash });
+  } catch (err) {
+    if (err.status !== 415) throw err;
+    return { status: ITEM_STATUS.UNSUPPORTED, error: err.message };
+  }
+
+  if (result.duplicate) {
+    seen.set(contentHash, result.existingAudioId);
+
+    return {
+      status: ITEM_STATUS.DUPLICATE,
+      existingAudioId: result.existingAudioId,
+      matchType: result.matchType,
+      // Re-tagged copy of a file accepted earlier in the batch
+      inBatch: batchAudioIds.has(result.existingAudioId)
+    };
+  }
+
+  seen.set(contentHash, result.audioId);
+  batchAudioIds.add(result.audioId);
+
+  return { status: ITEM_STATUS.ACCEPTED, audioId: result.audioId };
+}
+
+/**
+ * Process every entry in order, recording each outcome as it completes
+ */
+async function processBatch({ batchId, entries, workDir }) {
+  const seen = new Map();
+  const batchAudioIds = new Set();
+
+  try {
+    for (let position = 0; position < entries.length; position++) {
+      const entry = entries[position];
+      let result;
+
+      try {
+        result = await processEntry(entry, seen, batchAudioIds);
+      } catch (err) {
+        logger.error(
+          { batchId, filename: entry.originalname, error: err.message },
+          'Batch entry failed'
+        );
+        await removeFile(entry.path);
+        result = { status: ITEM_STATUS.FAILED, error: err.message };
+      }
+
+      await saveItem(batchId, position, result);
+    }
+
+    await pool.query(
+      `UPDATE upload_batches SET status = 'completed', updated_at = NOW() WHERE id = $1`,
+      [batchId]
+    );
+
+    logger.info({ batchId, total: entries.length }, 'Upload batch completed');
+  } catch (err) {
+    await pool.query(
+      `UPDATE upload_batches SET status = 'failed', updated_at = NOW() WHERE id = $1`,
+      [batchId]
+    );
+    throw err;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+function formatItem(row) {
+  return {
+    position: row.position,
+    filename: row.filename,
+    status: row.status,
+    audioId: row.audio_id,
+    existingAudioId: row.existing_audio_id,
+    matchType: row.match_type,
+    inBatch: row.in_batch,
+    error: row.error
+  };
+}
+
+/**
+ * Batch status with aggregate counts and per-entry results
+ */
+async function getBatch(batchId) {
+  const { rows: batches } = await pool.query(
+    `SELECT * FROM upload_batches WHERE id = $1`,
+    [batchId]
+  );
+
+  const batch = batches[0];
+  if (!batch) {
+    throw httpError(404, 'Batch not found');
+  }
+
+  const { rows: items } = await pool.query(
+    `SELECT * FROM upload_batch_items WHERE batch_id = $1 ORDER BY position`,
+    [batchId]
+  );
+
+  const counts = Object.fromEntries(
+    Object.values(ITEM_STATUS).map(status => [status, 0])
+  );
+  for (const item of items) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  }
+
+  return {
+    batchId: batch.id,
+    status: batch.status,
+    total: batch.total,
+    processed: batch.total - counts[ITEM_STATUS.PENDING],
+    counts,
+    createdAt: batch.created_at,
+    updatedAt: batch.updated_at,
+    items: items.map(formatItem)
+  };
+}
+
+module.exports = {
+  MAX_BATCH_FILES,
+  createBatch,
+  processBatch,
+  getBatch
+};
@@ -0,0 +1,30 @@
+const metadataService = require('../audio/metadata.service');
+const logger = require('../logging/logger');
+
+/**
+ * Get codec details and tags extracted for an audio file
+ */
+async function getMetadata(req, res, next) {
+  try {
+    const { audioId } = req.params;
+
+    if (!audioId) {
+      return res.status(400).json({ error: 'audioId parameter required' });
+    }
+
+    const metadata = await metadataService.getMetadata(audioId);
+
+    if (!metadata) {
+      return res.status(404).json({ error: 'No metadata found for this audio file' });
+    }
+
+    res.json({ audioId, metadata });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to retrieve audio metadata');
+    next(err);
+  }
+}
+
+module.exports = {
+  getMetadata
+};
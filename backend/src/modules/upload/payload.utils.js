@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Size of an ID3v1 tag and of the optional ID3v1 "extended" block before it
+const ID3V1_SIZE = 128;
+const ID3V1_EXTENDED_SIZE = 227;
+const APE_FOOTER_SIZE = 32;
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Skip any ID3v2 tags at `position` and return where the audio starts
+ */
+async function skipId3v2(handle, position, fileSize) {
+  for (;;) {
+    const header = await readAt(handle, position, 10);
+    if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+      return position;
+    }
+
+    // Tag size is a 28-bit "syncsafe" integer (7 bits per byte)
+    const size =
+      ((header[6] & 0x7f) << 21) |
+      ((header[7] & 0x7f) << 14) |
+      ((header[8] & 0x7f) << 7) |
+      (header[9] & 0x7f);
+    const hasFooter = (header[5] & 0x10) !== 0;
+
+    position = Math.min(fileSize, position + 10 + size + (hasFooter ? 10 : 0));
+  }
+}
+
+/**
+ * Strip ID3v1 and APEv2 tags from the end of [start, end)
+ */
+async function trimTrailingTags(handle, start, end) {
+  for (;;) {
+    if (end - start >= ID3V1_SIZE) {
+      const tag = await readAt(handle, end - ID3V1_SIZE, 3);
+      if (tag.toString('latin1') === 'TAG') {
+        end -= ID3V1_SIZE;
+
+        const extended = end - start >= ID3V1_EXTENDED_SIZE
+          ? await readAt(handle, end - ID3V1_EXTENDED_SIZE, 4)
+          : null;
+        if (extended && extended.toString('latin1') === 'TAG+') {
+          end -= ID3V1_EXTENDED_SIZE;
+        }
+        continue;
+      }
+    }
+
+    if (end - start >= APE_FOOTER_SIZE) {
+      const footer = await readAt(handle, end - APE_FOOTER_SIZE, APE_FOOTER_SIZE);
+      if (footer.toString('latin1', 0, 8) === 'APETAGEX') {
+        // Size covers items + footer; bit 31 of flags signals an extra 32-byte header
+        const tagSize = footer.readUInt32LE(12);
+        const hasHeader = (footer.readUInt32LE(20) & 0x80000000) !== 0;
+        end = Math.max(start, end - tagSize - (hasHeader ? APE_FOOTER_SIZE : 0));
+        continue;
+      }
+    }
+
+    return end;
+  }
+}
+
+/**
+ * FLAC: skip the metadata blocks (STREAMINFO, VORBIS_COMMENT, PICTURE, ...)
+ */
+async function flacRanges(handle, start, end) {
+  let position = start + 4;
+
+  for (;;) {
+    const header = await readAt(handle, position, 4);
+    if (header.length < 4) {
+      return [];
+    }
+
+    const isLast = (header[0] & 0x80) !== 0;
+    const length = header.readUIntBE(1, 3);
+    position += 4 + length;
+
+    if (isLast) {
+      return position < end ? [{ start: position, end }] : [];
+    }
+  }
+}
+
+/**
+ * RIFF/WAVE: keep only the fmt and data chunks (drops LIST, id3, bext, JUNK, ...)
+ */
+async function riffRanges(handle, end) {
+  const ranges = [];
+  let position = 12;
+
+  while (position + 8 <= end) {
+    const header = await readAt(handle, position, 8);
+    const chunkId = header.toString('latin1', 0, 4);
+    const chunkSize = header.readUInt32LE(4);
+    const bodyStart = position + 8;
+    const bodyEnd = Math.min(end, bodyStart + chunkSize);
+
+    if (chunkId === 'fmt ' || chunkId === 'data') {
+      ranges.push({ start: bodyStart, end: bodyEnd });
+    }
+
+    position = bodyStart + chunkSize + (chunkSize % 2);
+  }
+
+  return ranges;
+}
+
+/**
+ * MP4/M4A: keep only mdat payloads; tags live in moov/udta/meta and
+ * re-tagging may also rewrite sample offsets inside moov
+ */
+async function mp4Ranges(handle, end) {
+  const ranges = [];
+  let position = 0;
+
+  while (position + 8 <= end) {
+    const header = await readAt(handle, position, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1 && header.length >= 16) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+
+    if (size < headerSize) {
+      break;
+    }
+
+    if (type === 'mdat') {
+      ranges.push({ start: position + headerSize, end: Math.min(end, position + size) });
+    }
+
+    position += size;
+  }
+
+  return ranges;
+}
+
+/**
+ * Byte ranges of a file that hold audio data, excluding tag/metadata containers.
+ * Unknown formats fall back to the file minus leading ID3v2 and trailing ID3v1/APE tags.
+ */
+async function locateAudioPayload(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const head = await readAt(handle, 0, 12);
+
+    if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+      return { format: 'wav', ranges: await riffRanges(handle, fileSize) };
+    }
+
+    if (head.length >= 8 && head.toString('latin1', 4, 8) === 'ftyp') {
+      return { format: 'mp4', ranges: await mp4Ranges(handle, fileSize) };
+    }
+
+    const start = await skipId3v2(handle, 0, fileSize);
+    const end = await trimTrailingTags(handle, start, fileSize);
+    const marker = await readAt(handle, start, 4);
+
+    if (marker.toString('latin1') === 'fLaC') {
+      return { format: 'flac', ranges: await flacRanges(handle, start, end) };
+    }
+
+    return { format: 'generic', ranges: end > start ? [{ start, end }] : [] };
+  } finally {
+    await handle.close();
+  }
+}
+
+function hashRange(hash, filePath, { start, end }) {
+  return new Promise((resolve, reject) => {
+    if (end <= start) {
+      return resolve();
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end: end - 1 });
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * SHA-256 over the audio payload only, so re-tagged copies hash identically.
+ * Resolves null when no payload could be located.
+ */
+async function computeAudioContentHash(filePath) {
+  const { ranges } = await locateAudioPayload(filePath);
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256');
+  for (const range of ranges) {
+    await hashRange(hash, filePath, range);
+  }
+  return hash.digest('hex');
+}
+
+module.exports = {
+  readAt,
+  skipId3v2,
+  locateAudioPayload,
+  computeAudioContentHash
+};
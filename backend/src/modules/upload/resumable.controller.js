@@ -0,0 +1,127 @@
+const resumableService = require('./resumable.service');
+const { isSupportedAudio, isGenericMimeType } = require('./upload.utils');
+const logger = require('../logging/logger');
+
+function setUploadHeaders(res, upload) {
+  res.setHeader('Upload-Offset', String(upload.offset));
+  res.setHeader('Upload-Length', String(upload.size));
+  res.setHeader('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+/**
+ * Start a resumable upload: JSON body { filename, mimeType, size }
+ */
+async function createUpload(req, res, next) {
+  try {
+    const { filename, mimeType } = req.body || {};
+    const size = Number(req.body?.size);
+
+    if (!filename || !mimeType) {
+      return res.status(400).json({ error: 'filename and mimeType are required' });
+    }
+
+    // Generic types are allowed; the content is sniffed on completion
+    if (!isSupportedAudio(mimeType) && !isGenericMimeType(mimeType)) {
+      logger.warn({ mimeType, filename }, 'Unsupported audio format rejected');
+      return res.status(400).json({ error: 'Unsupported audio format' });
+    }
+
+    const upload = await resumableService.createUpload({ filename, mimeType, size });
+
+    setUploadHeaders(res, upload);
+    res.setHeader('Location', `${req.baseUrl}/resumable/${upload.uploadId}`);
+    res.status(201).json(upload);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Report how many bytes the server holds (HEAD, headers only)
+ */
+async function getUploadOffset(req, res, next) {
+  try {
+    const upload = await resumableService.getUpload(req.params.uploadId);
+    setUploadHeaders(res, upload);
+    res.status(200).end();
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).end();
+    }
+    next(err);
+  }
+}
+
+/**
+ * Append a chunk: raw body, Upload-Offset header with the chunk's starting byte
+ */
+async function appendChunk(req, res, next) {
+  try {
+    const offset = Number(req.get('Upload-Offset'));
+
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header required' });
+    }
+
+    const declaredLength = req.get('Content-Length')
+      ? Number(req.get('Content-Length'))
+      : undefined;
+
+    const upload = await resumableService.appendChunk(
+      req.params.uploadId,
+      offset,
+      req,
+      declaredLength
+    );
+
+    setUploadHeaders(res, upload);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Finalize a fully received upload through the regular dedup flow
+ * (?restoreTrashed=1 restores a trashed copy, as for POST /upload)
+ */
+async function completeUpload(req, res, next) {
+  try {
+    const restoreTrashed = ['1', 'true'].includes(req.query.restoreTrashed);
+    const result = await resumableService.completeUpload(req.params.uploadId, {
+      restoreTrashed
+    });
+
+    if (result.restored) {
+      logger.info(
+        { uploadId: req.params.uploadId, audioId: result.audioId },
+        'Upload matched a trashed file - file restored'
+      );
+      return res.status(200).json(result);
+    }
+
+    if (result.duplicate) {
+      logger.info(
+        { uploadId: req.params.uploadId, matchType: result.matchType },
+        'Duplicate detected - file rejected'
+      );
+      return res.status(409).json(result);
+    }
+
+    logger.info(
+      { uploadId: req.params.uploadId, audioId: result.audioId },
+      'Resumable audio upload completed'
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  createUpload,
+  getUploadOffset,
+  appendChunk,
+  completeUpload
+};
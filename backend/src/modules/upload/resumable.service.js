@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pool = require('../../config/db');
+const logger = require('../logging/logger');
+const { processUpload } = require('./upload.service');
+
+const RESUMABLE_DIR = path.join(__dirname, '../../../uploads/resumable');
+
+// Largest file accepted through the resumable protocol (default 4 GB)
+const MAX_UPLOAD_BYTES =
+  parseInt(process.env.RESUMABLE_MAX_BYTES, 10) || 4 * 1024 * 1024 * 1024;
+
+// Incomplete uploads expire after this long without a new chunk
+const UPLOAD_TTL_HOURS = parseFloat(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24;
+
+// Uploads stuck in 'completing' this long (e.g. the process died mid-way) are expired
+const COMPLETING_TIMEOUT_MINUTES =
+  parseFloat(process.env.RESUMABLE_COMPLETING_TIMEOUT_MINUTES) || 60;
+
+// Running SHA-256 per upload; rebuilt from disk after a restart
+const hashStates = new Map();
+
+// Uploads currently receiving a chunk (one writer at a time)
+const activeWrites = new Set();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function localPathFor(uploadId) {
+  return path.join(RESUMABLE_DIR, `${uploadId}.part`);
+}
+
+function formatUpload(row) {
+  return {
+    uploadId: row.id,
+    filename: row.filename,
+    mimeType: row.mime_type,
+    size: Number(row.total_size),
+    offset: Number(row.received_bytes),
+    status: row.status,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Load an upload that can still receive data; 404 if unknown, 410 if expired or finished
+ */
+async function getActiveUpload(uploadId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM resumable_uploads WHERE id = $1`,
+    [uploadId]
+  );
+
+  const row = rows[0];
+  if (!row) {
+    throw httpError(404, 'Upload not found');
+  }
+
+  if (row.status !== 'active' || new Date(row.expires_at) < new Date()) {
+    throw httpError(410, `Upload is ${row.status === 'active' ? 'expired' : row.status}`);
+  }
+
+  return row;
+}
+
+/**
+ * Hash state matching the first `bytes` bytes of the part file
+ */
+function getHashState(uploadId, bytes) {
+  const state = hashStates.get(uploadId);
+  if (state && state.bytes === bytes) {
+    return Promise.resolve(state);
+  }
+
+  return new Promise((resolve, reject) => {
+    const rebuilt = { hash: crypto.createHash('sha256'), bytes: 0 };
+
+    if (bytes === 0) {
+      hashStates.set(uploadId, rebuilt);
+      return resolve(rebuilt);
+    }
+
+    fs.createReadStream(localPathFor(uploadId), { start: 0, end: bytes - 1 })
+      .on('data', chunk => {
+        rebuilt.hash.update(chunk);
+        rebuilt.bytes += chunk.length;
+      })
+      .on('end', () => {
+        hashStates.set(uploadId, rebuilt);
+        resolve(rebuilt);
+      })
+      .on('error', reject);
+  });
+}
+
+/**
+ * Register a new resumable upload and create its empty part file
+ */
+async function createUpload({ filename, mimeType, size }) {
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    throw httpError(400, 'size must be a positive integer');
+  }
+
+  if (size > MAX_UPLOAD_BYTES) {
+    throw httpError(413, `Upload exceeds the ${MAX_UPLOAD_BYTES} byte limit`);
+  }
+
+  const uploadId = crypto.randomUUID();
+  await fs.promises.mkdir(RESUMABLE_DIR, { recursive: true });
+  await fs.promises.writeFile(localPathFor(uploadId), Buffer.alloc(0));
+
+  const { rows } = await pool.query(
+    `INSERT INTO resumable_uploads (id, filename, mime_type, total_size, local_path, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+     RETURNING *`,
+    [uploadId, filename, mimeType, size, localPathFor(uploadId), UPLOAD_TTL_HOURS * 3600]
+  );
+
+  hashStates.set(uploadId, { hash: crypto.createHash('sha256'), bytes: 0 });
+
+  logger.info({ uploadId, filename, size }, 'Resumable upload created');
+
+  return formatUpload(rows[0]);
+}
+
+async function getUpload(uploadId) {
+  return formatUpload(await getActiveUpload(uploadId));
+}
+
+/**
+ * Append one chunk streamed from `input` at `offset`.
+ * Bytes received before a dropped connection are kept, so the client
+ * resumes from whatever offset HEAD reports.
+ */
+async function appendChunk(uploadId, offset, input, declaredLength) {
+  const row = await getActiveUpload(uploadId);
+  const received = Number(row.received_bytes);
+  const total = Number(row.total_size);
+
+  if (offset !== received) {
+    throw httpError(409, `Offset mismatch: expected ${received}, got ${offset}`);
+  }
+
+  if (Number.isFinite(declaredLength) && received + declaredLength > total) {
+    throw httpError(413, 'Chunk exceeds declared upload size');
+  }
+
+  if (activeWrites.has(uploadId)) {
+    throw httpError(409, 'Another chunk is being written for this upload');
+  }
+
+  activeWrites.add(uploadId);
+
+  try {
+    // Discard bytes past the acknowledged offset (e.g. a failed write)
+    await fs.promises.truncate(localPathFor(uploadId), received);
+
+    const state = await getHashState(uploadId, received);
+    let written = 0;
+    let overflow = false;
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(localPathFor(uploadId), { flags: 'a' });
+      let ended = false;
+      const endOutput = () => {
+        if (!ended) {
+          ended = true;
+          output.end();
+        }
+      };
+
+      input.on('data', chunk => {
+        if (ended) {
+          return;
+        }
+
+        if (received + written + chunk.length > total) {
+          overflow = true;
+          input.pause();
+          endOutput();
+          return;
+        }
+
+        written += chunk.length;
+        state.hash.update(chunk);
+        state.bytes += chunk.length;
+
+        if (!output.write(chunk)) {
+          input.pause();
+          output.once('drain', () => input.resume());
+        }
+      });
+
+      // A dropped connection keeps what was received so far
+      input.on('end', endOutput);
+      input.on('close', endOutput);
+      input.on('error', endOutput);
+      output.on('finish', resolve);
+      output.on('error', reject);
+    });
+
+    if (overflow) {
+      // Drop partial data past the last acknowledged offset
+      await fs.promises.truncate(localPathFor(uploadId), received);
+      hashStates.delete(uploadId);
+      throw httpError(413, 'Chunk exceeds declared upload size');
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE resumable_uploads
+       SET received_bytes = $2,
+           updated_at = NOW(),
+           expires_at = NOW() + make_interval(secs => $3)
+       WHERE id = $1
+       RETURNING *`,
+      [uploadId, received + written, UPLOAD_TTL_HOURS * 3600]
+    );
+
+    logger.debug(
+      { uploadId, offset, chunkBytes: written, received: received + written, total },
+      'Resumable upload chunk stored'
+    );
+
+    return formatUpload(rows[0]);
+  } finally {
+    activeWrites.delete(uploadId);
+  }
+}
+
+/**
+ * Release a claimed upload so the client can call complete again
+ */
+async function releaseUpload(uploadId) {
+  await pool.query(
+    `UPDATE resumable_uploads SET status = 'active', updated_at = NOW() WHERE id = $1`,
+    [uploadId]
+  );
+}
+
+/**
+ * Hand a fully received upload to the regular dedup/insert/queue flow.
+ * The upload is claimed ('completing') before hashing, so of two concurrent
+ * calls only one finishes it and the other gets a 409. It is marked 'completed'
+ * (and its part file removed) only once the upload flow succeeds; on failure the
+ * part file is kept and the upload can be completed again.
+ */
+async function completeUpload(uploadId, { restoreTrashed = false } = {}) {
+  const row = await getActiveUpload(uploadId);
+  const received = Number(row.received_bytes);
+  const total = Number(row.total_size);
+
+  if (received !== total) {
+    throw httpError(409, `Upload incomplete: ${received} of ${total} bytes received`);
+  }
+
+  if (activeWrites.has(uploadId)) {
+    throw httpError(409, 'Another chunk is being written for this upload');
+  }
+
+  const { rowCount } = await pool.query(
+    `UPDATE resumable_uploads
+     SET status = 'completing', updated_at = NOW()
+     WHERE id = $1 AND status = 'active'`,
+    [uploadId]
+  );
+
+  if (rowCount === 0) {
+    throw httpError(409, 'Upload is already being completed');
+  }
+
+  let result;
+  try {
+    const state = await getHashState(uploadId, received);
+    const contentHash = state.hash.copy().digest('hex');
+
+    logger.info({ uploadId, filename: row.filename, contentHash }, 'Resumable upload received');
+
+    result = await processUpload(
+      {
+        path: localPathFor(uploadId),
+        mimetype: row.mime_type,
+        size: total,
+        originalname: row.filename,
+        contentHash
+      },
+      { restoreTrashed, keepLocalFile: true }
+    );
+  } catch (err) {
+    await releaseUpload(uploadId);
+    throw err;
+  }
+
+  await pool.query(
+    `UPDATE resumable_uploads SET status = 'completed', updated_at = NOW() WHERE id = $1`,
+    [uploadId]
+  );
+  hashStates.delete(uploadId);
+  await fs.promises.rm(localPathFor(uploadId), { force: true });
+
+  logger.info({ uploadId, filename: row.filename }, 'Resumable upload complete');
+
+  return result;
+}
+
+/**
+ * Delete part files of uploads past their expiry, or stuck in 'completing',
+ * and mark them expired
+ */
+async function cleanupExpiredUploads() {
+  const { rows } = await pool.query(
+    `UPDATE resumable_uploads
+     SET status = 'expired', updated_at = NOW()
+     WHERE (status = 'active' AND expires_at < NOW())
+        OR (status = 'completing' AND updated_at < NOW() - make_interval(mins => $1))
+     RETURNING id`,
+    [COMPLETING_TIMEOUT_MINUTES]
+  );
+
+  for (const { id } of rows) {
+    hashStates.delete(id);
+    await fs.promises.rm(localPathFor(id), { force: true });
+  }
+
+  if (rows.length > 0) {
+    logger.info({ expired: rows.length }, 'Expired resumable uploads cleaned up');
+  }
+
+  return rows.length;
+}
+
+module.exports = {
+  createUpload,
+  getUpload,
+  appendChunk,
+  completeUpload,
+  cleanupExpiredUploads
+};
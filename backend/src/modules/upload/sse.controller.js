@@ -1,18 +1,169 @@
 const pool = require('../../config/db');
 const logger = require('../logging/logger');
+const events = require('../events/events.service');
 
-const warningSubscribers = new Map();
+// Open SSE connections on this instance; each carries the filter it subscribed with
+const subscribers = new Set();
+
+// Open connections per client address
+const connectionsByClient = new Map();
+
+// Interval of keep-alive comments so proxies do not drop idle streams
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.SSE_HEARTBEAT_INTERVAL_MS, 10) || 15000;
+
+// Connection limits per instance and per client address
+const MAX_CONNECTIONS = parseInt(process.env.SSE_MAX_CONNECTIONS, 10) || 1000;
+const MAX_CONNECTIONS_PER_CLIENT = parseInt(process.env.SSE_MAX_CONNECTIONS_PER_CLIENT, 10) || 10;
+
+// Most audio ids one /events connection may filter on
+const MAX_FILTER_AUDIO_IDS = 100;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+const EVENT_TYPES = [
+  'queued',
+  'fingerprinting',
+  'fingerprinted',
+  'similarity_detected',
+  'no_match',
+  'retrying',
+  'failed'
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function formatEvent(id, event) {
+  const idLine = id ? `id: ${id}\n` : '';
+  return `${idLine}data: ${JSON.stringify(event)}\n\n`;
+}
 
 /**
- * Subscribe to similarity warnings for a specific audio file
+ * Last seen event id from the Last-Event-ID header (set by EventSource on reconnect)
+ * or ?lastEventId= (for clients that open a fresh connection); 0 when absent
  */
-async function subscribeToWarnings(req, res, next) {
-  const { audioId } = req.params;
+function parseLastEventId(req) {
+  const value = req.get('Last-Event-ID') || req.query.lastEventId;
+  return /^\d+$/.test(value || '') ? Number(value) : 0;
+}
 
-  if (!audioId) {
-    return res.status(400).json({ error: 'audioId parameter required' });
+function parseList(value) {
+  if (value === undefined || value === '') return [];
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Filter of a /events connection from its query: audioIds, types, minSimilarity.
+ * Returns { error } for invalid input.
+ */
+function parseEventFilter(query) {
+  const audioIds = parseList(query.audioIds);
+  const types = parseList(query.types);
+
+  if (audioIds.length > MAX_FILTER_AUDIO_IDS) {
+    return { error: `At most ${MAX_FILTER_AUDIO_IDS} audioIds per stream` };
+  }
+
+  const invalidId = audioIds.find(id => !UUID_PATTERN.test(id));
+  if (invalidId) {
+    return { error: `Invalid audio id: ${invalidId}` };
+  }
+
+  const unknownType = types.find(type => !EVENT_TYPES.includes(type));
+  if (unknownType) {
+    return { error: `Unknown event type "${unknownType}". Allowed: ${EVENT_TYPES.join(', ')}` };
+  }
+
+  let minSimilarity = null;
+  if (query.minSimilarity !== undefined && query.minSimilarity !== '') {
+    minSimilarity = Number(query.minSimilarity);
+    if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 100) {
+      return { error: 'minSimilarity must be a number between 0 and 100' };
+    }
   }
 
+  return {
+    filter: {
+      audioIds: audioIds.length > 0 ? new Set(audioIds) : null,
+      types: types.length > 0 ? new Set(types) : null,
+      minSimilarity
+    }
+  };
+}
+
+/**
+ * Whether an event for the given audio files passes a connection's filter.
+ * minSimilarity only applies to similarity_detected events.
+ */
+function matchesFilter(filter, audioIds, event) {
+  if (filter.audioIds && !audioIds.some(audioId => filter.audioIds.has(audioId))) {
+    return false;
+  }
+  if (filter.types && !filter.types.has(event.type)) {
+    return false;
+  }
+  if (
+    filter.minSimilarity !== null &&
+    event.type === 'similarity_detected' &&
+    event.similarityPercent < filter.minSimilarity
+  ) {
+    return false;
+  }
+  return true;
+}
+
+function removeSubscriber(subscriber) {
+  if (!subscribers.delete(subscriber)) return;
+
+  clearInterval(subscriber.heartbeat);
+
+  const remaining = (connectionsByClient.get(subscriber.client) || 1) - 1;
+  if (remaining > 0) {
+    connectionsByClient.set(subscriber.client, remaining);
+  } else {
+    connectionsByClient.delete(subscriber.client);
+  }
+}
+
+/**
+ * Write to a connection; a connection that can no longer be written to is dropped
+ */
+function send(subscriber, chunk) {
+  if (subscriber.res.writableEnded || subscriber.res.destroyed) {
+    removeSubscriber(subscriber);
+    return;
+  }
+
+  try {
+    subscriber.res.write(chunk);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to send notification');
+    removeSubscriber(subscriber);
+  }
+}
+
+/**
+ * Open an SSE stream for a filter. Logged events after Last-Event-ID are replayed
+ * before live delivery starts; `replayAll` also replays the whole log on a first
+ * connect (only sensible when the filter names specific files).
+ */
+async function openStream(req, res, filter, { replayAll = false, description }) {
+  const client = req.ip;
+
+  if (subscribers.size >= MAX_CONNECTIONS) {
+    return res.status(503).json({ error: 'Too many open event streams, try again later' });
+  }
+  if ((connectionsByClient.get(client) || 0) >= MAX_CONNECTIONS_PER_CLIENT) {
+    return res.status(429).json({
+      error: `At most ${MAX_CONNECTIONS_PER_CLIENT} open event streams per client`
+    });
+  }
+
+  const lastEventId = parseLastEventId(req);
+
   // Set up SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -20,86 +171,195 @@ async function subscribeToWarnings(req, res, next) {
   res.setHeader('X-Accel-Buffering', 'no');
 
   // Send initial connection message
-  res.write(
-    `data: ${JSON.stringify({ type: 'connected', message: 'Listening for similarity warnings' })}\n\n`
-  );
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  res.write(formatEvent(null, { type: 'connected', message: description, lastEventId }));
 
-  // Store this connection
-  if (!warningSubscribers.has(audioId)) {
-    warningSubscribers.set(audioId, []);
-  }
-  warningSubscribers.get(audioId).push(res);
+  // Live events are held back until the replay has been written
+  const subscriber = { res, filter, client, replaying: true, pending: [] };
+  subscriber.heartbeat = setInterval(() => {
+    send(subscriber, `: heartbeat ${Date.now()}\n\n`);
+  }, HEARTBEAT_INTERVAL_MS);
+
+  subscribers.add(subscriber);
+  connectionsByClient.set(client, (connectionsByClient.get(client) || 0) + 1);
 
   logger.info(
-    { audioId, activeConnections: warningSubscribers.get(audioId).length },
-    'SSE listener subscribed to similarity warnings'
+    {
+      audioIds: filter.audioIds ? [...filter.audioIds] : 'all',
+      types: filter.types ? [...filter.types] : 'all',
+      lastEventId,
+      activeConnections: subscribers.size
+    },
+    'SSE listener subscribed'
   );
 
   // Handle client disconnect
   req.on('close', () => {
-    const subscribers = warningSubscribers.get(audioId);
-    if (subscribers) {
-      const index = subscribers.indexOf(res);
-      if (index > -1) {
-        subscribers.splice(index, 1);
-      }
-    }
-    logger.info({ audioId }, 'SSE listener disconnected');
+    removeSubscriber(subscriber);
+    logger.info({ activeConnections: subscribers.size }, 'SSE listener disconnected');
     res.end();
   });
 
   // Handle errors
   req.on('error', err => {
-    logger.error({ audioId, error: err.message }, 'SSE connection error');
-    const subscribers = warningSubscribers.get(audioId);
-    if (subscribers) {
-      const index = subscribers.indexOf(res);
-      if (index > -1) {
-        subscribers.splice(index, 1);
+    logger.error({ error: err.message }, 'SSE connection error');
+    removeSubscriber(subscriber);
+  });
+
+  const replayedIds = new Set();
+
+  if (lastEventId > 0 || replayAll) {
+    try {
+      // The log is read a page at a time until it is exhausted
+      const audioIds = filter.audioIds ? [...filter.audioIds] : null;
+      let afterId = lastEventId;
+
+      for (;;) {
+        const missed = await events.getEventsSince(audioIds, afterId);
+
+        missed
+          .filter(({ audioIds: ids, event }) => matchesFilter(filter, ids, event))
+          .forEach(({ id, event }) => {
+            replayedIds.add(id);
+            send(subscriber, formatEvent(id, event));
+          });
+
+        if (missed.length < events.REPLAY_PAGE_SIZE || res.writableEnded) break;
+        afterId = missed[missed.length - 1].id;
       }
+
+      if (replayedIds.size > 0) {
+        logger.debug({ replayed: replayedIds.size }, 'SSE events replayed');
+      }
+    } catch (err) {
+      logger.error({ error: err.message }, 'Failed to replay SSE events');
     }
+  }
+
+  // Events published while replaying may already have been part of the replay
+  subscriber.pending
+    .filter(({ id }) => !replayedIds.has(id))
+    .forEach(({ id, event }) => send(subscriber, formatEvent(id, event)));
+
+  subscriber.replaying = false;
+  subscriber.pending = [];
+}
+
+/**
+ * Subscribe to processing events and similarity warnings for a specific audio file.
+ * A first connect replays the file's whole event log, so nothing fired before
+ * subscribing is lost.
+ */
+async function subscribeToWarnings(req, res, next) {
+  const { audioId } = req.params;
+
+  if (!audioId) {
+    return res.status(400).json({ error: 'audioId parameter required' });
+  }
+
+  if (!UUID_PATTERN.test(audioId)) {
+    return res.status(400).json({ error: `Invalid audio id: ${audioId}` });
+  }
+
+  const filter = { audioIds: new Set([audioId]), types: null, minSimilarity: null };
+
+  await openStream(req, res, filter, {
+    replayAll: true,
+    description: 'Listening for processing events and similarity warnings'
+  });
+}
+
+/**
+ * Library-wide stream, optionally narrowed with ?audioIds=, ?types= (comma-separated)
+ * and ?minSimilarity=
+ */
+async function subscribeToEvents(req, res, next) {
+  const { filter, error } = parseEventFilter(req.query);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  await openStream(req, res, filter, {
+    replayAll: Boolean(filter.audioIds),
+    description: filter.audioIds
+      ? `Listening for events on ${filter.audioIds.size} audio file(s)`
+      : 'Listening for events on all audio files'
+  });
+}
+
+/**
+ * Write an event to this instance's subscribers whose filter it passes
+ */
+function broadcast(audioIds, id, event) {
+  subscribers.forEach(subscriber => {
+    if (!matchesFilter(subscriber.filter, audioIds, event)) return;
+
+    if (subscriber.replaying) {
+      subscriber.pending.push({ id, event });
+      return;
+    }
+
+    send(subscriber, formatEvent(id, event));
+  });
+}
+
+// Events published by any instance (or the worker) reach local connections here
+events.onEvent(({ id, audioIds, event }) => broadcast(audioIds, id, event));
+
+/**
+ * Broadcast a processing lifecycle event (queued, fingerprinting, fingerprinted,
+ * no_match, failed) to subscribers of one file
+ */
+function notifyStatus(audioId, type, details = {}) {
+  events.publish([audioId], {
+    type,
+    audioId,
+    ...details,
+    timestamp: new Date().toISOString()
   });
+
+  logger.debug({ audioId, event: type }, 'Processing event published');
 }
 
 /**
  * Broadcast warning notification to subscribers
+ * `details` carries extra match data (matchKind, offsetSeconds) merged into the event;
+ * rangeA/rangeB are the matched time ranges and land on file1/file2
  */
-function notifyWarning(audioIdA, audioIdB, filenameA, filenameB, similarityPercent) {
+function notifyWarning(audioIdA, audioIdB, filenameA, filenameB, similarityPercent, details = {}) {
+  const { rangeA, rangeB, ...extra } = details;
+
   const warning = {
     type: 'similarity_detected',
     file1: {
       id: audioIdA,
-      filename: filenameA
+      filename: filenameA,
+      ...rangeA
     },
     file2: {
       id: audioIdB,
-      filename: filenameB
+      filename: filenameB,
+      ...rangeB
     },
     similarityPercent: parseFloat(similarityPercent),
+    ...extra,
     timestamp: new Date().toISOString()
   };
 
   // Notify subscribers of both files
-  [audioIdA, audioIdB].forEach(audioId => {
-    if (warningSubscribers.has(audioId)) {
-      const subscribers = warningSubscribers.get(audioId);
-      subscribers.forEach(res => {
-        try {
-          res.write(`data: ${JSON.stringify(warning)}\n\n`);
-        } catch (err) {
-          logger.error({ error: err.message }, 'Failed to send notification');
-        }
-      });
-    }
-  });
+  events.publish([audioIdA, audioIdB], warning);
 
   logger.info(
     { audioIdA, audioIdB, similarity: `${similarityPercent}%` },
-    'Similarity warning notification broadcast to subscribers'
+    'Similarity warning notification published'
   );
 }
 
 module.exports = {
+  EVENT_TYPES,
   subscribeToWarnings,
-  notifyWarning
+  subscribeToEvents,
+  notifyWarning,
+  notifyStatus
 };
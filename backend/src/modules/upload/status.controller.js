@@ -0,0 +1,22 @@
+const processingService = require('../audio/processing.service');
+const logger = require('../logging/logger');
+
+/**
+ * Processing state of an uploaded file: similarity status, fingerprint job, timings, last error
+ */
+async function getStatus(req, res, next) {
+  try {
+    const status = await processingService.getProcessingStatus(req.params.audioId);
+    res.json(status);
+  } catch (err) {
+    logger.error(
+      { audioId: req.params.audioId, error: err.message },
+      'Failed to retrieve processing status'
+    );
+    next(err);
+  }
+}
+
+module.exports = {
+  getStatus
+};
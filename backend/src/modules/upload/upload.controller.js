@@ -1,5 +1,4 @@
-const { processUpload } = require('./upload.service');
-const { isSupportedAudio } = require('./upload.utils');
+const { processUpload, checkContentHash } = require('./upload.service');
 const logger = require('../logging/logger');
 
 async function uploadAudio(req, res, next) {
@@ -10,19 +9,21 @@ async function uploadAudio(req, res, next) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    if (!isSupportedAudio(file.mimetype)) {
-      logger.warn(
-        { mimeType: file.mimetype, filename: file.originalname },
-        'Unsupported audio format rejected'
+    // Format is sniffed from the content; mismatches are rejected with 415
+    const restoreTrashed = ['1', 'true'].includes(req.query.restoreTrashed);
+    const result = await processUpload(file, { restoreTrashed });
+
+    if (result.restored) {
+      logger.info(
+        { audioId: result.audioId, filename: file.originalname },
+        'Upload matched a trashed file - file restored'
       );
-      return res.status(400).json({ error: 'Unsupported audio format' });
+      return res.status(200).json(result);
     }
 
-    const result = await processUpload(file);
-
     if (result.duplicate) {
       logger.info(
-        { filename: file.originalname },
+        { filename: file.originalname, matchType: result.matchType },
         'Duplicate detected - file rejected'
       );
       return res.status(409).json(result);
@@ -42,6 +43,34 @@ async function uploadAudio(req, res, next) {
   }
 }
 
+/**
+ * Pre-upload duplicate check: JSON body { sha256, size? }
+ */
+async function checkUpload(req, res, next) {
+  try {
+    const sha256 = String(req.body?.sha256 || '').toLowerCase();
+    const size = req.body?.size;
+
+    if (!/^[0-9a-f]{64}$/.test(sha256)) {
+      return res.status(400).json({ error: 'sha256 must be a 64-character hex digest' });
+    }
+
+    if (size !== undefined && size !== null && !(Number.isInteger(size) && size >= 0)) {
+      return res.status(400).json({ error: 'size must be a non-negative integer' });
+    }
+
+    const result = await checkContentHash(sha256, size ?? null);
+    res.json(result);
+  } catch (err) {
+    logger.error(
+      { error: err.message },
+      'Pre-upload hash check failed'
+    );
+    next(err);
+  }
+}
+
 module.exports = {
-  uploadAudio
+  uploadAudio,
+  checkUpload
 };
\ No newline at end of file
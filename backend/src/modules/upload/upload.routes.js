@@ -1,9 +1,14 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const { uploadAudio } = require('./upload.controller');
-const { getWarnings, getAllWarnings } = require('./warnings.controller');
+const { uploadAudio, checkUpload } = require('./upload.controller');
+const { getWarnings, getAllWarnings, reviewWarning } = require('./warnings.controller');
 const { subscribeToWarnings } = require('./sse.controller');
+const { getMetadata } = require('./metadata.controller');
+const { getStatus } = require('./status.controller');
+const resumable = require('./resumable.controller');
+const { uploadBatch, getBatchStatus } = require('./batch.controller');
+const { MAX_BATCH_FILES } = require('./batch.service');
 
 const router = express.Router();
 
@@ -14,10 +19,36 @@ const upload = multer({
 
 router.post('/', upload.single('audio'), uploadAudio);
 
+// Batch upload: several files or ZIP/TAR archives under the `audio` field
+router.post('/batch', (req, res, next) => {
+  upload.array('audio', MAX_BATCH_FILES)(req, res, err => {
+    // Too many files / unexpected field are client errors
+    if (err instanceof multer.MulterError) err.status = 400;
+    next(err);
+  });
+}, uploadBatch);
+router.get('/batch/:batchId', getBatchStatus);
+
+// Pre-upload duplicate check by SHA-256, lets clients skip sending known files
+router.post('/check', checkUpload);
+
+// Resumable (tus-style) uploads: create, query offset, append chunks, finalize
+router.post('/resumable', resumable.createUpload);
+router.head('/resumable/:uploadId', resumable.getUploadOffset);
+router.patch('/resumable/:uploadId', resumable.appendChunk);
+router.post('/resumable/:uploadId/complete', resumable.completeUpload);
+
 // Warnings endpoints
 router.get('/warnings', getAllWarnings);
+router.patch('/warnings/:warningId', reviewWarning);
 router.get('/:audioId/warnings', getWarnings);
 
+// Codec details and tags extracted on ingest
+router.get('/:audioId/metadata', getMetadata);
+
+// Fingerprinting progress: similarity status, job state, timings, last error
+router.get('/:audioId/status', getStatus);
+
 // SSE endpoint for real-time notifications
 router.get('/:audioId/subscribe', subscribeToWarnings);
 
@@ -1,44 +1,135 @@
 const pool = require('../../config/db');
-const { computeFileHash } = require('./upload.utils');
-const fingerprintQueue = require('../../jobs/queue');
-const supabase = require('../../config/supabase');
+const { computeFileHash, validateAudioContent } = require('./upload.utils');
+const { computeAudioContentHash } = require('./payload.utils');
+const metadataService = require('../audio/metadata.service');
+const { enqueueFingerprint } = require('../audio/processing.service');
+const { getStorage, BUCKETS } = require('../storage/storage.service');
+const audioService = require('../audio/audio.service');
 const logger = require('../logging/logger');
 const crypto = require('crypto');
 const fs = require('fs');
 
-async function processUpload(file) {
+const DUPLICATE_MATCH = {
+  BYTE_IDENTICAL: 'byte_identical',
+  SAME_AUDIO_DIFFERENT_TAGS: 'same_audio_different_tags'
+};
+
+const TRASHED_DUPLICATE_MESSAGE =
+  'Same audio is in the trash - restore it, or re-upload with ?restoreTrashed=1';
+
+/**
+ * Find the existing file an upload collided with and how it matched
+ */
+async function findDuplicateMatch(contentHash, audioContentHash) {
+  const { rows } = await pool.query(
+    `SELECT id, content_hash, deleted_at
+     FROM audio_files
+     WHERE content_hash = $1 OR audio_content_hash = $2
+     ORDER BY (content_hash = $1) DESC
+     LIMIT 1`,
+    [contentHash, audioContentHash]
+  );
+
+  if (rows.length === 0) {
+    return { existingAudioId: null, matchType: DUPLICATE_MATCH.BYTE_IDENTICAL, trashed: false };
+  }
+
+  return {
+    existingAudioId: rows[0].id,
+    trashed: Boolean(rows[0].deleted_at),
+    matchType:
+      rows[0].content_hash === contentHash
+        ? DUPLICATE_MATCH.BYTE_IDENTICAL
+        : DUPLICATE_MATCH.SAME_AUDIO_DIFFERENT_TAGS
+  };
+}
+
+/**
+ * Pre-upload check: does a file with this SHA-256 (and size, if given) already exist?
+ * A hit is recorded in upload_attempts so skipped transfers still show up there.
+ */
+async function checkContentHash(contentHash, fileSize = null) {
+  const { rows } = await pool.query(
+    `SELECT id, deleted_at
+     FROM audio_files
+     WHERE content_hash = $1
+       AND ($2::BIGINT IS NULL OR file_size = $2)
+     LIMIT 1`,
+    [contentHash, fileSize]
+  );
+
+  if (rows.length === 0) {
+    return { duplicate: false };
+  }
+
+  await pool.query(
+    `INSERT INTO upload_attempts (content_hash, was_duplicate) VALUES ($1, $2)`,
+    [contentHash, true]
+  );
+
+  logger.info(
+    { contentHash, existingAudioId: rows[0].id },
+    'Duplicate detected before upload - transfer skipped'
+  );
+
+  const trashed = Boolean(rows[0].deleted_at);
+
+  return {
+    duplicate: true,
+    matchType: DUPLICATE_MATCH.BYTE_IDENTICAL,
+    existingAudioId: rows[0].id,
+    trashed,
+    message: trashed ? TRASHED_DUPLICATE_MESSAGE : 'Exact duplicate detected'
+  };
+}
+
+/**
+ * Store an uploaded file. A duplicate of a trashed file is rejected unless
+ * restoreTrashed is set, in which case the trashed file is restored instead.
+ * The local file is deleted afterwards unless keepLocalFile is set.
+ */
+async function processUpload(file, { restoreTrashed = false, keepLocalFile = false } = {}) {
   const localPath = file.path;
-  const mimeType = file.mimetype;
   const fileSize = file.size;
   const originalFilename = file.originalname;
 
   try {
-    // Step 1: Compute SHA-256 hash
+    // Step 0: Detect the format from the bytes; the client-declared type is only cross-checked
+    const { format: detectedFormat, mimeType } = await validateAudioContent(
+      localPath,
+      file.mimetype
+    );
+
+    // Step 1: Compute SHA-256 hash (resumable uploads hash incrementally and pass it in)
     logger.debug({ filename: originalFilename }, 'Computing file hash');
-    const contentHash = await computeFileHash(localPath);
+    const contentHash = file.contentHash || (await computeFileHash(localPath));
+
+    // Hash of the audio payload only (tags and metadata blocks skipped)
+    const audioContentHash = await computeAudioContentHash(localPath);
+
+    // Codec details and tags, read while the file is still local
+    const metadata = await metadataService.extractMetadata(localPath, { mimeType });
 
     // Generate temp and permanent file names
     const tempFileName = `${crypto.randomUUID()}_${originalFilename}`;
     const permanentFileName = `${contentHash}_${originalFilename}`;
 
     logger.debug(
-      { filename: originalFilename, contentHash, tempFile: tempFileName },
+      { filename: originalFilename, contentHash, audioContentHash, tempFile: tempFileName },
       'Hash computed - uploading to temp bucket'
     );
 
-    // Step 2: Read file and upload to temp bucket
-    const fileBuffer = fs.readFileSync(localPath);
+    // Step 2: Upload to temp bucket
+    const storage = getStorage();
 
-    const { error: uploadError } = await supabase.storage
-      .from('temp-uploads')
-      .upload(tempFileName, fileBuffer, {
+    try {
+      await storage.put(BUCKETS.TEMP, tempFileName, fs.createReadStream(localPath), {
         contentType: mimeType
       });
-
-    if (uploadError) {
+    } catch (uploadError) {
       logger.error(
         { filename: originalFilename, error: uploadError.message },
-        'Temp upload to Supabase failed'
+        'Temp upload to storage failed'
       );
       throw uploadError;
     }
@@ -49,17 +140,23 @@ async function processUpload(file) {
     );
 
     // Step 3: Atomic database insert (concurrency safety)
+    // No conflict target: either unique hash (file or audio payload) rejects the row
     const result = await pool.query(
-      `INSERT INTO audio_files (content_hash, storage_path, original_filename, file_size, mime_type)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (content_hash)
+      `INSERT INTO audio_files (content_hash, audio_content_hash, storage_path, original_filename, file_size, mime_type, detected_format)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT
        DO NOTHING
        RETURNING id`,
-      [contentHash, permanentFileName, originalFilename, fileSize, mimeType]
+      [contentHash, audioContentHash, permanentFileName, originalFilename, fileSize, mimeType, detectedFormat]
     );
 
     // Check if this was a duplicate
     if (result.rowCount === 0) {
+      const { existingAudioId, matchType, trashed } = await findDuplicateMatch(
+        contentHash,
+        audioContentHash
+      );
+
       // Duplicate detected - file already exists
       logger.warn(
         {
@@ -67,17 +164,19 @@ async function processUpload(file) {
           fileSize,
           mimeType,
           isDuplicate: true,
+          matchType,
+          existingAudioId,
           tempFile: tempFileName
         },
-        'Duplicate file rejected - identical file already exists'
+        matchType === DUPLICATE_MATCH.BYTE_IDENTICAL
+          ? 'Duplicate file rejected - identical file already exists'
+          : 'Duplicate file rejected - same audio already exists with different tags'
       );
 
       // Delete temp file
-      const { error: deleteError } = await supabase.storage
-        .from('temp-uploads')
-        .remove([tempFileName]);
-
-      if (deleteError) {
+      try {
+        await storage.remove(BUCKETS.TEMP, [tempFileName]);
+      } catch (deleteError) {
         logger.warn(
           { tempFile: tempFileName, error: deleteError.message },
           'Failed to delete duplicate from temp bucket'
@@ -90,27 +189,52 @@ async function processUpload(file) {
         [contentHash, true]
       );
 
+      if (trashed && restoreTrashed) {
+        await audioService.restoreAudio(existingAudioId);
+
+        return {
+          duplicate: false,
+          restored: true,
+          matchType,
+          audioId: existingAudioId,
+          metadata: await metadataService.getMetadata(existingAudioId)
+        };
+      }
+
+      if (trashed) {
+        return {
+          duplicate: true,
+          trashed: true,
+          matchType,
+          existingAudioId,
+          message: TRASHED_DUPLICATE_MESSAGE
+        };
+      }
+
       return {
         duplicate: true,
-        message: 'Exact duplicate detected'
+        matchType,
+        existingAudioId,
+        message:
+          matchType === DUPLICATE_MATCH.BYTE_IDENTICAL
+            ? 'Exact duplicate detected'
+            : 'Same audio already exists with different tags'
       };
     }
 
     const audioId = result.rows[0].id;
 
+    const storedMetadata = await metadataService.saveMetadata(audioId, metadata);
+
     logger.debug(
       { audioId, tempFile: tempFileName, permanentFile: permanentFileName },
       'Moving file from temp to permanent bucket'
     );
 
     // Step 4: Move file from temp to permanent bucket
-    const { error: moveError } = await supabase.storage
-      .from('temp-uploads')
-      .move(tempFileName, permanentFileName, {
-        destinationBucket: 'audio-files'
-      });
-
-    if (moveError) {
+    try {
+      await storage.move(BUCKETS.TEMP, tempFileName, BUCKETS.AUDIO, permanentFileName);
+    } catch (moveError) {
       logger.error(
         { audioId, tempFile: tempFileName, error: moveError.message },
         'Failed to move file to permanent bucket'
@@ -127,7 +251,7 @@ async function processUpload(file) {
         status: 'ORIGINAL_FILE',
         storagePath: permanentFileName
       },
-      'Original audio file stored in Supabase - fingerprinting queued'
+      'Original audio file stored - fingerprinting queued'
     );
 
     // Step 5: Record successful upload
@@ -137,14 +261,22 @@ async function processUpload(file) {
     );
 
     // Step 6: Queue fingerprint job
-    await fingerprintQueue.add('fingerprint', { audioId, filename: originalFilename });
-    logger.debug({ audioId }, 'Fingerprint job queued');
+    await enqueueFingerprint(audioId, originalFilename);
 
     return {
       duplicate: false,
-      audioId
+      audioId,
+      metadata: storedMetadata
     };
   } catch (error) {
+    if (error.status === 415) {
+      logger.warn(
+        { filename: originalFilename, declaredMimeType: file.mimetype, error: error.message },
+        'Upload rejected - content is not the declared audio format'
+      );
+      throw error;
+    }
+
     logger.error(
       { filename: originalFilename, error: error.message },
       'Upload processing failed'
@@ -153,7 +285,7 @@ async function processUpload(file) {
   } finally {
     // Clean up local temp file
     try {
-      if (fs.existsSync(localPath)) {
+      if (!keepLocalFile && fs.existsSync(localPath)) {
         fs.unlinkSync(localPath);
         logger.debug({ file: localPath }, 'Local temp file cleaned up');
       }
@@ -167,5 +299,7 @@ async function processUpload(file) {
 }
 
 module.exports = {
+  DUPLICATE_MATCH,
+  checkContentHash,
   processUpload
 };
\ No newline at end of file
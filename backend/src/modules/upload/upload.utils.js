@@ -1,17 +1,156 @@
 const crypto = require('crypto');
 const fs = require('fs');
+const { readAt, skipId3v2 } = require('./payload.utils');
+
+// Formats recognised from file content, with the MIME type stored for each
+const AUDIO_FORMATS = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  m4a: 'audio/m4a',
+  aac: 'audio/aac'
+};
+
+// Declared MIME type -> format it promises
+const DECLARED_FORMATS = {
+  // Standard MIME types
+  'audio/mpeg': 'mp3', 'audio/wav': 'wav', 'audio/ogg': 'ogg',
+  'audio/m4a': 'm4a', 'audio/aac': 'aac', 'audio/flac': 'flac',
+  // Non-standard variants (x- prefix)
+  'audio/x-wav': 'wav', 'audio/x-ogg': 'ogg', 'audio/x-m4a': 'm4a',
+  'audio/x-aac': 'aac', 'audio/x-flac': 'flac', 'audio/x-mpeg': 'mp3',
+  // Aliases sent by some browsers and tools
+  'audio/mp3': 'mp3', 'audio/mp4': 'm4a', 'audio/wave': 'wav', 'audio/vnd.wave': 'wav'
+};
+
+// Types that say nothing about the content; the detected format decides
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// AAC is labelled both ways: raw ADTS streams and AAC inside an M4A container
+const COMPATIBLE_FORMATS = {
+  aac: ['m4a'],
+  m4a: ['aac']
+};
+
+// ISO-BMFF major brands used for audio-only or generic MP4 files
+const MP4_AUDIO_BRANDS = [
+  'M4A ', 'M4B ', 'M4P ', 'F4A ', 'mp41', 'mp42', 'isom', 'iso2', 'iso5', 'iso6', 'dash'
+];
+
+// How far past the ID3v2 tag to look for the first MPEG frame
+const FRAME_SYNC_SEARCH_BYTES = 4096;
+
+function normaliseMimeType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
 
 /**
  * Validate supported MIME types
  */
 function isSupportedAudio(mimeType) {
-  const allowed = [
-    // Standard MIME types
-    'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a', 'audio/aac', 'audio/flac',
-    // Non-standard variants (x- prefix)
-    'audio/x-wav', 'audio/x-ogg', 'audio/x-m4a', 'audio/x-aac', 'audio/x-flac', 'audio/x-mpeg'
-  ];
-  return allowed.includes(mimeType);
+  return normaliseMimeType(mimeType) in DECLARED_FORMATS;
+}
+
+/**
+ * True for MIME types that carry no format information (e.g. application/octet-stream)
+ */
+function isGenericMimeType(mimeType) {
+  return GENERIC_MIME_TYPES.includes(normaliseMimeType(mimeType));
+}
+
+// ADTS: 12-bit sync, layer bits 00
+function isAdtsHeader(buffer, i) {
+  return buffer[i] === 0xff && (buffer[i + 1] & 0xf6) === 0xf0;
+}
+
+// MPEG audio: 11-bit sync, version not reserved, layer not reserved
+function isMpegFrameHeader(buffer, i) {
+  return (
+    buffer[i] === 0xff &&
+    (buffer[i + 1] & 0xe0) === 0xe0 &&
+    (buffer[i + 1] & 0x18) !== 0x08 &&
+    (buffer[i + 1] & 0x06) !== 0x00
+  );
+}
+
+/**
+ * Detect the audio format from magic bytes / container headers.
+ * Returns one of the AUDIO_FORMATS keys, or null when the content is not recognised.
+ */
+async function detectAudioFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const head = await readAt(handle, 0, 12);
+
+    if (head.length >= 12) {
+      const riff = head.toString('latin1', 0, 4);
+      if ((riff === 'RIFF' || riff === 'RF64') && head.toString('latin1', 8, 12) === 'WAVE') {
+        return 'wav';
+      }
+
+      if (head.toString('latin1', 4, 8) === 'ftyp') {
+        return MP4_AUDIO_BRANDS.includes(head.toString('latin1', 8, 12)) ? 'm4a' : null;
+      }
+    }
+
+    if (head.toString('latin1', 0, 4) === 'OggS') return 'ogg';
+
+    // FLAC and MPEG streams may sit behind ID3v2 tags
+    const audioStart = await skipId3v2(handle, 0, size);
+    const hasId3 = audioStart > 0;
+    const probe = await readAt(handle, audioStart, FRAME_SYNC_SEARCH_BYTES);
+
+    if (probe.toString('latin1', 0, 4) === 'fLaC') return 'flac';
+    if (probe.length < 2) return null;
+    if (isAdtsHeader(probe, 0)) return 'aac';
+    if (isMpegFrameHeader(probe, 0)) return 'mp3';
+
+    // Tag padding can precede the first frame
+    if (hasId3) {
+      for (let i = 1; i < probe.length - 1; i++) {
+        if (isMpegFrameHeader(probe, i)) return 'mp3';
+      }
+    }
+
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Sniff the file and check it against the declared MIME type.
+ * Returns { format, mimeType }; throws a 415 error when the content is not a
+ * supported audio format or contradicts a specific declared type.
+ */
+async function validateAudioContent(filePath, declaredMimeType) {
+  const declared = normaliseMimeType(declaredMimeType);
+  const format = await detectAudioFormat(filePath);
+
+  let message = null;
+
+  if (!format) {
+    message = `File content is not a supported audio format (declared ${declared || 'no type'})`;
+  } else if (!isGenericMimeType(declared)) {
+    const declaredFormat = DECLARED_FORMATS[declared];
+    const compatible = COMPATIBLE_FORMATS[declaredFormat] || [];
+
+    if (declaredFormat !== format && !compatible.includes(format)) {
+      message = `Declared type ${declared} does not match detected content (${format})`;
+    }
+  }
+
+  if (message) {
+    const err = new Error(message);
+    err.status = 415;
+    err.detectedFormat = format;
+    throw err;
+  }
+
+  return { format, mimeType: AUDIO_FORMATS[format] };
 }
 
 /**
@@ -38,6 +177,10 @@ function computeFileHash(filePath) {
 }
 
 module.exports = {
+  AUDIO_FORMATS,
   isSupportedAudio,
+  isGenericMimeType,
+  detectAudioFormat,
+  validateAudioContent,
   computeFileHash
 };
\ No newline at end of file
@@ -1,5 +1,241 @@
 const pool = require('../../config/db');
 const logger = require('../logging/logger');
+const recommendationService = require('../audio/recommendation.service');
+const { WARNING_STATUS, refreshMatchSummary } = require('../audio/similarity.service');
+
+const WARNING_STATUSES = Object.values(WARNING_STATUS);
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_NOTE_LENGTH = 2000;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Sort options -> keyset column and the cast used to compare cursor values
+const WARNING_SORTS = {
+  newest: { column: 'created_at', cast: 'TIMESTAMP' },
+  similarity: { column: 'similarity_percent', cast: 'NUMERIC' }
+};
+
+const WARNING_COLUMNS = `id, audio_id_a, audio_id_b, filename_a, filename_b, similarity_percent,
+       offset_seconds, match_kind, tier, start_seconds_a, end_seconds_a, start_seconds_b, end_seconds_b,
+       status, reviewed_by, review_note, reviewed_at, created_at`;
+
+// Warnings involving a trashed file are hidden until it is restored
+const ACTIVE_FILES_FILTER = `NOT EXISTS (
+         SELECT 1 FROM audio_files t
+         WHERE t.id IN (audio_id_a, audio_id_b) AND t.deleted_at IS NOT NULL
+       )`;
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Shape a similarity_warnings row for API responses
+ */
+function formatWarning(row) {
+  return {
+    id: row.id,
+    matchKind: row.match_kind || 'similar',
+    tier: row.tier || null,
+    file1: {
+      id: row.audio_id_a,
+      filename: row.filename_a,
+      startSeconds: toNumber(row.start_seconds_a),
+      endSeconds: toNumber(row.end_seconds_a)
+    },
+    file2: {
+      id: row.audio_id_b,
+      filename: row.filename_b,
+      startSeconds: toNumber(row.start_seconds_b),
+      endSeconds: toNumber(row.end_seconds_b)
+    },
+    similarityPercent: parseFloat(row.similarity_percent),
+    offsetSeconds: toNumber(row.offset_seconds),
+    status: row.status || WARNING_STATUS.OPEN,
+    review: row.reviewed_at
+      ? { reviewer: row.reviewed_by, note: row.review_note, reviewedAt: row.reviewed_at }
+      : null,
+    detectedAt: row.created_at
+  };
+}
+
+/**
+ * Parse ?status=open,dismissed into a list; null when absent
+ */
+function parseStatusFilter(value) {
+  if (value === undefined) return null;
+
+  const statuses = String(value)
+    .split(',')
+    .map(status => status.trim())
+    .filter(Boolean);
+
+  const invalid = statuses.find(status => !WARNING_STATUSES.includes(status));
+  if (invalid || statuses.length === 0) {
+    const err = new Error(`status must be one of: ${WARNING_STATUSES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  return statuses;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseNumberParam(value, name) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw badRequest(`${name} must be a number`);
+  }
+  return number;
+}
+
+function parseDateParam(value, name) {
+  if (Number.isNaN(new Date(value).getTime())) {
+    throw badRequest(`${name} must be an ISO date`);
+  }
+  return String(value);
+}
+
+function encodeCursor(sort, sortValue, id) {
+  return Buffer.from(JSON.stringify([sort, sortValue, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+
+  if (
+    !Array.isArray(decoded) ||
+    decoded[0] !== sort ||
+    typeof decoded[1] !== 'string' ||
+    !UUID_PATTERN.test(decoded[2])
+  ) {
+    throw badRequest('Invalid cursor');
+  }
+
+  return { sortValue: decoded[1], id: decoded[2] };
+}
+
+/**
+ * One page of warnings plus the total matching the filters.
+ * Query: status, minSimilarity, maxSimilarity, detectedFrom, detectedTo, q (filename),
+ * sort (newest | similarity), limit, cursor.
+ */
+async function queryWarnings(query, audioId = null) {
+  const sort = query.sort || 'newest';
+  const sortColumn = WARNING_SORTS[sort];
+  if (!sortColumn) {
+    throw badRequest(`sort must be one of: ${Object.keys(WARNING_SORTS).join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const params = [];
+  const add = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const where = [ACTIVE_FILES_FILTER];
+
+  if (audioId) {
+    const id = add(audioId);
+    where.push(`(audio_id_a = ${id} OR audio_id_b = ${id})`);
+  }
+
+  const statuses = parseStatusFilter(query.status);
+  if (statuses) {
+    where.push(`status = ANY(${add(statuses)}::TEXT[])`);
+  }
+
+  if (query.minSimilarity !== undefined) {
+    where.push(`similarity_percent >= ${add(parseNumberParam(query.minSimilarity, 'minSimilarity'))}`);
+  }
+
+  if (query.maxSimilarity !== undefined) {
+    where.push(`similarity_percent <= ${add(parseNumberParam(query.maxSimilarity, 'maxSimilarity'))}`);
+  }
+
+  if (query.detectedFrom !== undefined) {
+    where.push(`created_at >= ${add(parseDateParam(query.detectedFrom, 'detectedFrom'))}`);
+  }
+
+  if (query.detectedTo !== undefined) {
+    where.push(`created_at <= ${add(parseDateParam(query.detectedTo, 'detectedTo'))}`);
+  }
+
+  if (query.q) {
+    const pattern = add(`%${String(query.q).replace(/[\\%_]/g, char => `\\${char}`)}%`);
+    where.push(`(filename_a ILIKE ${pattern} OR filename_b ILIKE ${pattern})`);
+  }
+
+  const countParams = [...params];
+  const countWhere = [...where];
+
+  if (query.cursor) {
+    const { sortValue, id } = decodeCursor(query.cursor, sort);
+    const value = add(sortValue);
+    where.push(
+      `(${sortColumn.column}, id) < (${value}::${sortColumn.cast}, ${add(id)}::UUID)`
+    );
+  }
+
+  const limitParam = add(limit + 1);
+
+  const [{ rows }, count] = await Promise.all([
+    pool.query(
+      `SELECT ${WARNING_COLUMNS}, ${sortColumn.column}::TEXT AS sort_value
+       FROM similarity_warnings
+       WHERE ${where.join(' AND ')}
+       ORDER BY ${sortColumn.column} DESC, id DESC
+       LIMIT ${limitParam}`,
+      params
+    ),
+    pool.query(
+      `SELECT COUNT(*)::INTEGER AS total
+       FROM similarity_warnings
+       WHERE ${countWhere.join(' AND ')}`,
+      countParams
+    )
+  ]);
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    rows: page,
+    total: count.rows[0].total,
+    nextCursor: rows.length > limit ? encodeCursor(sort, last.sort_value, last.id) : null,
+    limit,
+    sort
+  };
+}
+
+/**
+ * Format rows and attach a keep-which recommendation to each warning
+ */
+async function formatWarnings(rows) {
+  const recommendations = await recommendationService.recommendForPairs(
+    rows.map(row => [row.audio_id_a, row.audio_id_b])
+  );
+
+  return rows.map((row, index) => ({
+    ...formatWarning(row),
+    recommendation: recommendations[index]
+  }));
+}
 
 /**
  * Get similarity warnings for an audio file
@@ -12,34 +248,32 @@ async function getWarnings(req, res, next) {
       return res.status(400).json({ error: 'audioId parameter required' });
     }
 
-    const { rows } = await pool.query(
-      `SELECT id, audio_id_a, audio_id_b, filename_a, filename_b, similarity_percent, created_at
-       FROM similarity_warnings
-       WHERE audio_id_a = $1 OR audio_id_b = $1
-       ORDER BY created_at DESC`,
+    if (!UUID_PATTERN.test(audioId)) {
+      return res.status(400).json({ error: `Invalid audio id: ${audioId}` });
+    }
+
+    const { rows, total, nextCursor, limit, sort } = await queryWarnings(req.query, audioId);
+
+    const audio = await pool.query(
+      `SELECT match_count, best_match_id FROM audio_files WHERE id = $1`,
       [audioId]
     );
+    const summary = audio.rows[0] || {};
 
     logger.info(
-      { audioId, warningCount: rows.length },
-      `Warnings endpoint called - found ${rows.length} similarity warning(s)`
+      { audioId, warningCount: rows.length, total },
+      `Warnings endpoint called - found ${total} similarity warning(s)`
     );
 
     res.json({
       audioId,
-      warnings: rows.map(row => ({
-        id: row.id,
-        file1: {
-          id: row.audio_id_a,
-          filename: row.filename_a
-        },
-        file2: {
-          id: row.audio_id_b,
-          filename: row.filename_b
-        },
-        similarityPercent: parseFloat(row.similarity_percent),
-        detectedAt: row.created_at
-      }))
+      matchCount: summary.match_count ?? total,
+      bestMatchId: summary.best_match_id || null,
+      total,
+      nextCursor,
+      limit,
+      sort,
+      warnings: await formatWarnings(rows)
     });
   } catch (err) {
     logger.error({ error: err.message }, 'Failed to retrieve warnings');
@@ -52,33 +286,19 @@ async function getWarnings(req, res, next) {
  */
 async function getAllWarnings(req, res, next) {
   try {
-    const { rows } = await pool.query(
-      `SELECT id, audio_id_a, audio_id_b, filename_a, filename_b, similarity_percent, created_at
-       FROM similarity_warnings
-       ORDER BY created_at DESC
-       LIMIT 100`
-    );
+    const { rows, total, nextCursor, limit, sort } = await queryWarnings(req.query);
 
     logger.info(
-      { warningCount: rows.length },
-      `All warnings endpoint called - found ${rows.length} total similarity warning(s)`
+      { warningCount: rows.length, total },
+      `All warnings endpoint called - found ${total} total similarity warning(s)`
     );
 
     res.json({
-      total: rows.length,
-      warnings: rows.map(row => ({
-        id: row.id,
-        file1: {
-          id: row.audio_id_a,
-          filename: row.filename_a
-        },
-        file2: {
-          id: row.audio_id_b,
-          filename: row.filename_b
-        },
-        similarityPercent: parseFloat(row.similarity_percent),
-        detectedAt: row.created_at
-      }))
+      total,
+      nextCursor,
+      limit,
+      sort,
+      warnings: await formatWarnings(rows)
     });
   } catch (err) {
     logger.error({ error: err.message }, 'Failed to retrieve all warnings');
@@ -86,7 +306,70 @@ async function getAllWarnings(req, res, next) {
   }
 }
 
+/**
+ * Record a review decision: JSON body { status, reviewer, note? }
+ */
+async function reviewWarning(req, res, next) {
+  try {
+    const { warningId } = req.params;
+    const { status, note } = req.body || {};
+    const reviewer = typeof req.body?.reviewer === 'string' ? req.body.reviewer.trim() : '';
+
+    if (!WARNING_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${WARNING_STATUSES.join(', ')}` });
+    }
+
+    if (!reviewer) {
+      return res.status(400).json({ error: 'reviewer is required' });
+    }
+
+    const invalidNote =
+      note !== undefined &&
+      note !== null &&
+      (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH);
+
+    if (invalidNote) {
+      return res
+        .status(400)
+        .json({ error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    if (!UUID_PATTERN.test(warningId)) {
+      return res.status(404).json({ error: 'Warning not found' });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE similarity_warnings
+       SET status = $2, reviewed_by = $3, review_note = $4, reviewed_at = NOW()
+       WHERE id = $1
+       RETURNING ${WARNING_COLUMNS}`,
+      [warningId, status, reviewer, note ?? null]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Warning not found' });
+    }
+
+    // False positives no longer count as matches for either file
+    await refreshMatchSummary([rows[0].audio_id_a, rows[0].audio_id_b]);
+
+    logger.info(
+      { warningId, status, reviewer },
+      'Similarity warning reviewed'
+    );
+
+    const [warning] = await formatWarnings(rows);
+    res.json(warning);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to review warning');
+    next(err);
+  }
+}
+
 module.exports = {
   getWarnings,
-  getAllWarnings
+  getAllWarnings,
+  reviewWarning
 };
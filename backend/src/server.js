@@ -3,13 +3,24 @@ const app = require('./app');
 const logger = require('./modules/logging/logger');
 const initializeDatabase = require('./db/init');
 const redis = require('./config/redis');
-const supabase = require('./config/supabase');
+const storage = require('./modules/storage/storage.service');
+const events = require('./modules/events/events.service');
+const fingerprintEngines = require('./modules/audio/fingerprint.engines');
 require('./jobs/fingerprint.processor');
+require('./jobs/resumable.cleanup');
+require('./jobs/events.cleanup');
 
 const PORT = process.env.PORT || 5000;
 
 async function start() {
   try {
+    // Fail fast when no fingerprint engine can run on this host
+    const engine = await fingerprintEngines.getActiveEngine();
+    logger.info(
+      { engine: engine.name, version: engine.version },
+      'Fingerprint engine initialized'
+    );
+
     // Initialize database
     await initializeDatabase();
     logger.info('Database initialized successfully');
@@ -18,13 +29,11 @@ async function start() {
     await redis.ping();
     logger.info('Redis connected');
 
-    // Check Supabase connection
-    const { error } = await supabase.auth.getSession();
-    if (error) {
-      logger.warn({ error: error.message }, 'Supabase warning');
-    } else {
-      logger.info('Supabase connected');
-    }
+    // Fan out realtime events published by any instance to local SSE subscribers
+    await events.start();
+
+    // Check the configured storage backend (Supabase or local filesystem)
+    await storage.init();
 
     // Start server
     app.listen(PORT, () => {
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findExcerpt,
+  compareFingerprints,
+  MATCH_KIND
+} = require('../src/modules/audio/fingerprint.matcher');
+
+// Chromaprint's item duration
+const ITEM_SECONDS = 0.1238;
+
+/**
+ * Seeded pseudo-random sub-fingerprints
+ */
+function fingerprint(length, seed) {
+  let state = seed >>> 0;
+  return Array.from({ length }, () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state | 0;
+  });
+}
+
+/**
+ * Flip one low bit in every fourth item, as re-encoding would
+ */
+function addNoise(raw) {
+  return raw.map((value, i) => (i % 4 === 0 ? value ^ (1 << (i % 8)) : value));
+}
+
+test('finds an excerpt at its position in the longer file', () => {
+  const full = fingerprint(2400, 1);
+  const excerpt = addNoise(full.slice(900, 1300));
+
+  const match = findExcerpt(excerpt, full, { itemSeconds: ITEM_SECONDS });
+
+  assert.ok(match);
+  assert.equal(match.excerptSide, 'a');
+  assert.equal(match.offset, -900);
+  assert.ok(match.similarityPercent > 95);
+  assert.ok(Math.abs(match.rangeB.startSeconds - 900 * ITEM_SECONDS) < 1e-9);
+});
+
+test('reports the excerpt side when the longer file comes first', () => {
+  const full = fingerprint(2000, 2);
+  const match = compareFingerprints(full, full.slice(1500, 1800), {
+    itemSeconds: ITEM_SECONDS,
+    threshold: 70
+  });
+
+  assert.equal(match.kind, MATCH_KIND.EXCERPT_OF);
+  assert.equal(match.excerptSide, 'b');
+  assert.equal(match.offset, 1500);
+});
+
+test('finds no excerpt in unrelated fingerprints', () => {
+  assert.equal(
+    findExcerpt(fingerprint(400, 3), fingerprint(2400, 4), { itemSeconds: ITEM_SECONDS }),
+    null
+  );
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { decodeToMono } = require('../src/modules/audio/pcm.decoder');
+
+const SAMPLE_RATE = 8000;
+
+// Encoders for one sample in [-1, 1), and the decoder's quantization step
+const ENCODINGS = {
+  pcm8: {
+    bits: 8,
+    step: 1 / 128,
+    write: (buf, at, v) => buf.writeUInt8(Math.round(v * 127) + 128, at)
+  },
+  pcm16: {
+    bits: 16,
+    step: 1 / 32768,
+    write: (buf, at, v) => buf.writeInt16LE(Math.round(v * 32767), at)
+  },
+  pcm24: {
+    bits: 24,
+    step: 1 / 8388608,
+    write: (buf, at, v) => buf.writeIntLE(Math.round(v * 8388607), at, 3)
+  },
+  pcm32: {
+    bits: 32,
+    step: 1 / 2147483648,
+    write: (buf, at, v) => buf.writeInt32LE(Math.round(v * 2147483647), at)
+  },
+  float32: { bits: 32, float: true, step: 1e-7, write: (buf, at, v) => buf.writeFloatLE(v, at) },
+  float64: { bits: 64, float: true, step: 1e-12, write: (buf, at, v) => buf.writeDoubleLE(v, at) }
+};
+
+function tone(length, sampleRate = SAMPLE_RATE, frequency = 440) {
+  return Float64Array.from(
+    { length },
+    (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+}
+
+/**
+ * RIFF/WAVE file holding the given channels (arrays of equal length)
+ */
+function buildWav(channels, { encoding = 'pcm16', sampleRate = SAMPLE_RATE, extraChunk = false } = {}) {
+  const { bits, float = false, write } = ENCODINGS[encoding];
+  const bytesPerSample = bits / 8;
+  const frames = channels[0].length;
+  const data = Buffer.alloc(frames * channels.length * bytesPerSample);
+
+  for (let frame = 0; frame < frames; frame++) {
+    channels.forEach((samples, ch) => {
+      write(data, (frame * channels.length + ch) * bytesPerSample, samples[frame]);
+    });
+  }
+
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(float ? 3 : 1, 0);
+  fmt.writeUInt16LE(channels.length, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels.length * bytesPerSample, 8);
+  fmt.writeUInt16LE(channels.length * bytesPerSample, 12);
+  fmt.writeUInt16LE(bits, 14);
+
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+  };
+
+  const body = Buffer.concat([
+    Buffer.from('WAVE', 'ascii'),
+    chunk('fmt ', fmt),
+    // Odd-sized chunk before the data, as written by tagging tools
+    extraChunk ? chunk('LIST', Buffer.from('INFOx', 'ascii')) : Buffer.alloc(0),
+    chunk('data', data)
+  ]);
+
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+function withTempFile(contents, fn) {
+  const filePath = path.join(os.tmpdir(), `pcm_decoder_test_${process.pid}_${Math.random()}.tmp`);
+  fs.writeFileSync(filePath, contents);
+  try {
+    return fn(filePath);
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+for (const [encoding, { step }] of Object.entries(ENCODINGS)) {
+  test(`decodes ${encoding} WAV samples`, () => {
+    const source = tone(1000);
+    const decoded = withTempFile(buildWav([source], { encoding }), filePath =>
+      decodeToMono(filePath, SAMPLE_RATE)
+    );
+
+    assert.equal(decoded.samples.length, source.length);
+    assert.equal(decoded.sampleRate, SAMPLE_RATE);
+    assert.equal(decoded.duration, source.length / SAMPLE_RATE);
+    for (let i = 0; i < source.length; i++) {
+      assert.ok(
+        Math.abs(decoded.samples[i] - source[i]) <= 2 * step + 1e-6,
+        `sample ${i}: ${decoded.samples[i]} vs ${source[i]}`
+      );
+    }
+  });
+}
+
+test('averages channels to mono', () => {
+  const left = tone(400);
+  const right = left.map(value => -value / 2);
+  const { samples } = withTempFile(buildWav([left, right]), filePath =>
+    decodeToMono(filePath, SAMPLE_RATE)
+  );
+
+  for (let i = 0; i < left.length; i++) {
+    assert.ok(Math.abs(samples[i] - left[i] / 4) < 1e-3);
+  }
+});
+
+test('skips chunks before the data chunk', () => {
+  const source = tone(500);
+  const { samples } = withTempFile(buildWav([source], { extraChunk: true }), filePath =>
+    decodeToMono(filePath, SAMPLE_RATE)
+  );
+
+  assert.equal(samples.length, source.length);
+  assert.ok(Math.abs(samples[100] - source[100]) < 1e-3);
+});
+
+test('resamples to the target rate', () => {
+  const source = tone(44100, 44100, 200);
+  const { samples, duration } = withTempFile(
+    buildWav([source], { sampleRate: 44100 }),
+    filePath => decodeToMono(filePath, 11025)
+  );
+
+  assert.equal(duration, 1);
+  assert.ok(Math.abs(samples.length - 11025) <= 1);
+  // A 200 Hz tone survives 4:1 box-filter downsampling nearly intact
+  const expected = tone(11025, 11025, 200);
+  for (let i = 10; i < 11000; i += 97) {
+    assert.ok(Math.abs(samples[i] - expected[i]) < 0.05, `sample ${i}`);
+  }
+});
+
+test('reads headerless input as raw PCM in the configured layout', t => {
+  t.after(() => {
+    delete process.env.PCM_SAMPLE_RATE;
+    delete process.env.PCM_CHANNELS;
+    delete process.env.PCM_BIT_DEPTH;
+  });
+  process.env.PCM_SAMPLE_RATE = String(SAMPLE_RATE);
+  process.env.PCM_CHANNELS = '1';
+  process.env.PCM_BIT_DEPTH = '16';
+
+  const source = tone(800);
+  const raw = Buffer.alloc(source.length * 2);
+  source.forEach((value, i) => ENCODINGS.pcm16.write(raw, i * 2, value));
+
+  const { samples, duration } = withTempFile(raw, filePath => decodeToMono(filePath, SAMPLE_RATE));
+
+  assert.equal(duration, source.length / SAMPLE_RATE);
+  assert.ok(Math.abs(samples[123] - source[123]) < 1e-3);
+});
+
+test('rejects compressed containers', () => {
+  for (const header of ['ID3\u0003\u0000', 'fLaC', 'OggS', '\u0000\u0000\u0000 ftypM4A ']) {
+    const contents = Buffer.concat([Buffer.from(header, 'latin1'), Buffer.alloc(64)]);
+    assert.throws(
+      () => withTempFile(contents, filePath => decodeToMono(filePath, SAMPLE_RATE)),
+      /Only WAV or raw PCM/
+    );
+  }
+});
+
+test('rejects compressed WAV encodings', () => {
+  const wav = buildWav([tone(100)]);
+  // fmt chunk body starts at byte 20: switch the format tag to 0x55 (MP3)
+  wav.writeUInt16LE(0x55, 20);
+
+  assert.throws(
+    () => withTempFile(wav, filePath => decodeToMono(filePath, SAMPLE_RATE)),
+    /Unsupported WAV encoding \(format tag 0x55\)/
+  );
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const spectralEngine = require('../src/modules/audio/spectral.engine');
+const { MATCH_KIND } = require('../src/modules/audio/fingerprint.matcher');
+
+const SAMPLE_RATE = 11025;
+
+// Lowest tier of the default similarity settings
+const THRESHOLD = 70;
+
+/**
+ * Seeded pseudo-random generator so every run fingerprints the same signal
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Melody-like test signal: a new two-note chord (300-2000 Hz) every quarter second
+ */
+function melody(seconds, seed) {
+  const next = random(seed);
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  const noteLength = Math.round(SAMPLE_RATE / 4);
+  let frequencies = [];
+
+  for (let i = 0; i < samples.length; i++) {
+    if (i % noteLength === 0) {
+      frequencies = [300 + next() * 1700, 300 + next() * 1700];
+    }
+    const t = i / SAMPLE_RATE;
+    samples[i] = frequencies.reduce(
+      (sum, frequency) => sum + 0.3 * Math.sin(2 * Math.PI * frequency * t),
+      0
+    );
+  }
+  return samples;
+}
+
+/**
+ * Mono 16-bit WAV at the engine's analysis rate
+ */
+function writeWav(samples) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((value, i) => data.writeInt16LE(Math.round(value * 32767), i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  const filePath = path.join(os.tmpdir(), `spectral_test_${process.pid}_${Math.random()}.wav`);
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+  return filePath;
+}
+
+async function computeFor(samples) {
+  const filePath = writeWav(samples);
+  try {
+    return await spectralEngine.compute(filePath);
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+test('fingerprints are deterministic', async () => {
+  const samples = melody(5, 1);
+  const first = await computeFor(samples);
+  const second = await computeFor(samples);
+
+  assert.ok(first.raw.length > 0);
+  assert.deepEqual(first.raw, second.raw);
+  assert.equal(first.fingerprint, second.fingerprint);
+  assert.deepEqual(
+    spectralEngine.fingerprintSamples(samples),
+    spectralEngine.fingerprintSamples(samples)
+  );
+  assert.equal(first.engine, 'spectral');
+  assert.equal(first.duration, 5);
+});
+
+test('matches a copy of itself', async () => {
+  const { raw } = await computeFor(melody(8, 2));
+  const match = spectralEngine.compare(raw, raw, THRESHOLD);
+
+  assert.ok(match);
+  assert.equal(match.kind, MATCH_KIND.SIMILAR);
+  assert.equal(match.similarityPercent, 100);
+});
+
+test('matches a time-shifted copy', async () => {
+  const original = melody(10, 3);
+  // Drop 0.63 s, which is not a whole number of analysis hops
+  const shifted = original.subarray(Math.round(0.63 * SAMPLE_RATE));
+
+  const a = await computeFor(original);
+  const b = await computeFor(shifted);
+  const match = spectralEngine.compare(a.raw, b.raw, THRESHOLD);
+
+  assert.ok(match, 'shifted copy should match');
+  assert.ok(match.similarityPercent >= THRESHOLD);
+  assert.ok(
+    Math.abs(Math.abs(match.offsetSeconds) - 0.63) < 0.15,
+    `offset ${match.offsetSeconds}`
+  );
+});
+
+test('does not match unrelated audio', async () => {
+  const a = await computeFor(melody(10, 4));
+  const b = await computeFor(melody(10, 5));
+
+  assert.equal(spectralEngine.compare(a.raw, b.raw, THRESHOLD), null);
+});
+
+test('rejects audio shorter than one analysis frame', async () => {
+  await assert.rejects(computeFor(melody(0.2, 6)), /shorter than one analysis frame/);
+});
@@ -2,25 +2,106 @@
 
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import WarningList from '@/components/WarningList';
+import ProcessingTimeline from '@/components/ProcessingTimeline';
+import FailedJobsPanel from '@/components/FailedJobsPanel';
 import {
   API_BASE_URL,
   checkBackendHealth,
   fetchAllWarnings,
+  fetchFailedAudio,
+  fetchProcessingStatus,
   fetchWarningsForAudio,
+  reprocessAudio,
+  retryAllFailed,
+  subscribeToEvents,
   subscribeToWarnings,
   uploadAudioFile
 } from '@/lib/api';
 
+const EMPTY_PAGE = { warnings: [], total: 0, nextCursor: null };
+
+// A pair is stored once, so a re-detected pair must not show up twice
+function samePair(a, b) {
+  return a.file1?.id === b.file1?.id && a.file2?.id === b.file2?.id;
+}
+
+function prependLiveWarning(page, warning) {
+  if (page.warnings.some(existing => samePair(existing, warning))) {
+    return page;
+  }
+
+  return {
+    ...page,
+    warnings: [warning, ...page.warnings],
+    total: page.total + 1
+  };
+}
+
+function appendPage(previous, next) {
+  return {
+    warnings: [...previous.warnings, ...next.warnings],
+    total: next.total,
+    nextCursor: next.nextCursor
+  };
+}
+
 function createLiveWarning(event) {
   return {
     id: `${event.file1?.id || 'a'}-${event.file2?.id || 'b'}-${event.timestamp || Date.now()}`,
     file1: event.file1,
     file2: event.file2,
+    matchKind: event.matchKind,
+    tier: event.tier,
+    recommendation: event.recommendation,
     similarityPercent: event.similarityPercent,
     detectedAt: event.timestamp
   };
 }
 
+// Processing steps known from GET /upload/:audioId/status
+function timelineFromStatus(status) {
+  const { timings } = status;
+  const timeline = {};
+
+  if (timings.queuedAt) timeline.queued = timings.queuedAt;
+  if (timings.startedAt) timeline.fingerprinting = timings.startedAt;
+
+  if (status.similarityStatus === 'failed') {
+    timeline.result = { outcome: 'failed', at: timings.finishedAt, error: status.lastError };
+  } else if (timings.finishedAt) {
+    timeline.fingerprinted = timings.finishedAt;
+    timeline.result = {
+      outcome: status.matchCount > 0 ? 'similarity_detected' : 'no_match',
+      at: timings.finishedAt
+    };
+  }
+
+  return timeline;
+}
+
+// Lifecycle SSE event -> timeline step; returns null for other event types
+function timelineStep(event) {
+  switch (event.type) {
+    case 'queued':
+      return { queued: event.timestamp, result: undefined };
+    case 'fingerprinting':
+      return { fingerprinting: event.timestamp, result: undefined };
+    case 'retrying':
+      return {
+        retry: { attempt: event.attempt, maxAttempts: event.maxAttempts, error: event.error }
+      };
+    case 'fingerprinted':
+      return { fingerprinted: event.timestamp };
+    case 'similarity_detected':
+    case 'no_match':
+      return { result: { outcome: event.type, at: event.timestamp } };
+    case 'failed':
+      return { result: { outcome: 'failed', at: event.timestamp, error: event.error } };
+    default:
+      return null;
+  }
+}
+
 export default function HomePage() {
   const [health, setHealth] = useState('checking');
   const [file, setFile] = useState(null);
@@ -28,35 +109,68 @@ export default function HomePage() {
   const [uploadMessage, setUploadMessage] = useState('');
   const [error, setError] = useState('');
   const [activeAudioId, setActiveAudioId] = useState('');
-  const [fileWarnings, setFileWarnings] = useState([]);
-  const [allWarnings, setAllWarnings] = useState([]);
+  const [fileWarnings, setFileWarnings] = useState(EMPTY_PAGE);
+  const [allWarnings, setAllWarnings] = useState(EMPTY_PAGE);
   const [liveWarnings, setLiveWarnings] = useState([]);
+  const [timeline, setTimeline] = useState({});
+  const [streamState, setStreamState] = useState('connecting');
+  const [failedJobs, setFailedJobs] = useState({ items: [], total: 0 });
 
   const hasSelectedFile = useMemo(() => Boolean(file), [file]);
 
   const refreshAllWarnings = useCallback(async () => {
     try {
-      const warnings = await fetchAllWarnings();
-      setAllWarnings(warnings);
+      setAllWarnings(await fetchAllWarnings());
     } catch {
-      setAllWarnings([]);
+      setAllWarnings(EMPTY_PAGE);
+    }
+  }, []);
+
+  const refreshFailedJobs = useCallback(async () => {
+    try {
+      setFailedJobs(await fetchFailedAudio());
+    } catch {
+      setFailedJobs({ items: [], total: 0 });
     }
   }, []);
 
   const refreshCurrentWarnings = useCallback(async audioId => {
     if (!audioId) {
-      setFileWarnings([]);
+      setFileWarnings(EMPTY_PAGE);
       return;
     }
 
     try {
-      const warnings = await fetchWarningsForAudio(audioId);
-      setFileWarnings(warnings);
+      setFileWarnings(await fetchWarningsForAudio(audioId));
     } catch {
-      setFileWarnings([]);
+      setFileWarnings(EMPTY_PAGE);
     }
   }, []);
 
+  async function loadMoreAllWarnings() {
+    if (!allWarnings.nextCursor) return;
+
+    try {
+      const next = await fetchAllWarnings({ cursor: allWarnings.nextCursor });
+      setAllWarnings(previous => appendPage(previous, next));
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load more warnings.');
+    }
+  }
+
+  async function loadMoreFileWarnings() {
+    if (!activeAudioId || !fileWarnings.nextCursor) return;
+
+    try {
+      const next = await fetchWarningsForAudio(activeAudioId, {
+        cursor: fileWarnings.nextCursor
+      });
+      setFileWarnings(previous => appendPage(previous, next));
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load more warnings.');
+    }
+  }
+
   useEffect(() => {
     let ignore = false;
 
@@ -70,6 +184,7 @@ export default function HomePage() {
 
       if (!ignore) {
         refreshAllWarnings();
+        refreshFailedJobs();
       }
     }
 
@@ -78,29 +193,88 @@ export default function HomePage() {
     return () => {
       ignore = true;
     };
-  }, [refreshAllWarnings]);
+  }, [refreshAllWarnings, refreshFailedJobs]);
+
+  // The global panels are loaded once and then kept current from the library-wide stream
+  useEffect(() => {
+    const source = subscribeToEvents(
+      { types: ['similarity_detected', 'failed'] },
+      {
+        onMessage: event => {
+          if (event.type === 'failed') {
+            refreshFailedJobs();
+            return;
+          }
+          if (event.type !== 'similarity_detected') return;
+          setAllWarnings(previous => prependLiveWarning(previous, createLiveWarning(event)));
+        }
+      }
+    );
+
+    return () => {
+      source.close();
+    };
+  }, [refreshFailedJobs]);
 
   useEffect(() => {
     if (!activeAudioId) return undefined;
 
+    let ignore = false;
+    setStreamState('connecting');
+
     const source = subscribeToWarnings(activeAudioId, {
       onMessage: event => {
+        const step = timelineStep(event);
+        if (step) {
+          setTimeline(previous => ({ ...previous, ...step }));
+        }
+
         if (event.type !== 'similarity_detected') return;
 
         const warning = createLiveWarning(event);
         setLiveWarnings(previous => [warning, ...previous].slice(0, 20));
         refreshCurrentWarnings(activeAudioId);
-        refreshAllWarnings();
       },
-      onError: () => {
-        setError('Realtime stream disconnected. Upload a new file to reconnect.');
+      onOpen: () => {
+        setStreamState('live');
+      },
+      onReconnecting: () => {
+        setStreamState('reconnecting');
       }
     });
 
+    // Missed events are replayed by the stream; the status fills in steps older than the replay window
+    fetchProcessingStatus(activeAudioId)
+      .then(status => {
+        if (!ignore) {
+          setTimeline(previous => ({ ...timelineFromStatus(status), ...previous }));
+        }
+      })
+      .catch(() => {});
+
     return () => {
+      ignore = true;
       source.close();
     };
-  }, [activeAudioId, refreshAllWarnings, refreshCurrentWarnings]);
+  }, [activeAudioId, refreshCurrentWarnings]);
+
+  async function handleReprocess(audioId) {
+    try {
+      await reprocessAudio(audioId);
+      await refreshFailedJobs();
+    } catch (retryError) {
+      setError(retryError.message || 'Reprocess failed.');
+    }
+  }
+
+  async function handleRetryAllFailed() {
+    try {
+      await retryAllFailed();
+      await refreshFailedJobs();
+    } catch (retryError) {
+      setError(retryError.message || 'Retry failed.');
+    }
+  }
 
   async function handleUpload(event) {
     event.preventDefault();
@@ -114,6 +288,7 @@ export default function HomePage() {
     setUploadMessage('');
     setError('');
     setLiveWarnings([]);
+    setTimeline({});
 
     try {
       const result = await uploadAudioFile(file);
@@ -121,20 +296,19 @@ export default function HomePage() {
       if (result?.duplicate) {
         setUploadMessage(result.message || 'Exact duplicate detected.');
         setActiveAudioId('');
-        setFileWarnings([]);
+        setFileWarnings(EMPTY_PAGE);
       } else {
         setUploadMessage(`Upload accepted. Audio ID: ${result.audioId}`);
         setActiveAudioId(result.audioId);
         await refreshCurrentWarnings(result.audioId);
       }
 
-      await refreshAllWarnings();
       setFile(null);
       event.target.reset();
     } catch (uploadError) {
       setError(uploadError.message || 'Upload failed.');
       setActiveAudioId('');
-      setFileWarnings([]);
+      setFileWarnings(EMPTY_PAGE);
     } finally {
       setUploadState('idle');
     }
@@ -178,9 +352,13 @@ export default function HomePage() {
         {error && <p className="message error">{error}</p>}
         {activeAudioId && (
           <p className="muted small">
-            Listening for warnings on audio ID: <code>{activeAudioId}</code>
+            {streamState === 'reconnecting'
+              ? 'Realtime stream disconnected, reconnecting'
+              : 'Listening for warnings'}{' '}
+            on audio ID: <code>{activeAudioId}</code>
           </p>
         )}
+        {activeAudioId && <ProcessingTimeline timeline={timeline} />}
       </section>
 
       <WarningList
@@ -191,15 +369,28 @@ export default function HomePage() {
 
       <WarningList
         title="Warnings For Current Upload"
-        warnings={fileWarnings}
+        warnings={fileWarnings.warnings}
+        total={fileWarnings.total}
+        hasMore={Boolean(fileWarnings.nextCursor)}
+        onLoadMore={loadMoreFileWarnings}
         emptyMessage="Upload a non-duplicate file to inspect its warning history."
       />
 
       <WarningList
         title="Recent Warnings (Global)"
-        warnings={allWarnings}
+        warnings={allWarnings.warnings}
+        total={allWarnings.total}
+        hasMore={Boolean(allWarnings.nextCursor)}
+        onLoadMore={loadMoreAllWarnings}
         emptyMessage="No warnings generated yet."
       />
+
+      <FailedJobsPanel
+        items={failedJobs.items}
+        total={failedJobs.total}
+        onRetry={handleReprocess}
+        onRetryAll={handleRetryAllFailed}
+      />
     </main>
   );
 }
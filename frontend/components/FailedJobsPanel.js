@@ -0,0 +1,80 @@
+'use client';
+
+import { useState } from 'react';
+
+function formatTime(timestamp) {
+  if (!timestamp) return '-';
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '-';
+  return date.toLocaleString();
+}
+
+export default function FailedJobsPanel({ items, total, onRetry, onRetryAll }) {
+  const [busy, setBusy] = useState('');
+
+  async function run(key, action) {
+    setBusy(key);
+    try {
+      await action();
+    } finally {
+      setBusy('');
+    }
+  }
+
+  return (
+    <section className="panel">
+      <div className="panel-head">
+        <h2>Failed Processing</h2>
+        <span className="badge">{total}</span>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="muted">No failed fingerprint jobs.</p>
+      ) : (
+        <>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Attempts</th>
+                  <th>Error</th>
+                  <th>Failed At</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(item => (
+                  <tr key={item.audioId}>
+                    <td>{item.filename || item.audioId}</td>
+                    <td>{item.attempts}</td>
+                    <td>{item.error || '-'}</td>
+                    <td>{formatTime(item.failedAt)}</td>
+                    <td>
+                      <button
+                        type="button"
+                        disabled={Boolean(busy)}
+                        onClick={() => run(item.audioId, () => onRetry(item.audioId))}
+                      >
+                        {busy === item.audioId ? 'Queuing...' : 'Retry'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="load-more">
+            <span className="muted small">
+              Showing {items.length} of {total}
+            </span>
+            <button type="button" disabled={Boolean(busy)} onClick={() => run('all', onRetryAll)}>
+              {busy === 'all' ? 'Queuing...' : 'Retry all failed'}
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,55 @@
+function formatTime(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString();
+}
+
+const RESULT_LABELS = {
+  similarity_detected: 'Similar audio found',
+  no_match: 'No similar audio',
+  failed: 'Failed'
+};
+
+function resultLabel(result) {
+  if (!result) return 'Similarity check';
+  return RESULT_LABELS[result.outcome] || 'Similarity check';
+}
+
+export default function ProcessingTimeline({ timeline }) {
+  const steps = [
+    { key: 'queued', label: 'Queued', at: timeline.queued },
+    { key: 'fingerprinting', label: 'Fingerprinting', at: timeline.fingerprinting },
+    { key: 'fingerprinted', label: 'Fingerprinted', at: timeline.fingerprinted },
+    { key: 'result', label: resultLabel(timeline.result), at: timeline.result?.at }
+  ];
+
+  const failed = timeline.result?.outcome === 'failed';
+
+  return (
+    <div className="timeline">
+      <ol>
+        {steps.map(step => {
+          const done = Boolean(step.at) || (step.key === 'result' && Boolean(timeline.result));
+          const state = step.key === 'result' && failed ? 'failed' : done ? 'done' : 'pending';
+
+          return (
+            <li key={step.key} className={`timeline-step ${state}`}>
+              <span>{step.label}</span>
+              <span className="muted small">{formatTime(step.at)}</span>
+            </li>
+          );
+        })}
+      </ol>
+      {timeline.retry && !timeline.result && (
+        <p className="muted small">
+          Attempt {timeline.retry.attempt} of {timeline.retry.maxAttempts} failed
+          ({timeline.retry.error}), retrying...
+        </p>
+      )}
+      {failed && timeline.result.error && (
+        <p className="message error">{timeline.result.error}</p>
+      )}
+    </div>
+  );
+}
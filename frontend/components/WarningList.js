@@ -1,3 +1,8 @@
+'use client';
+
+import { useState } from 'react';
+import { getAudioContentUrl } from '@/lib/api';
+
 function formatTime(timestamp) {
   if (!timestamp) return '-';
   const date = new Date(timestamp);
@@ -5,16 +10,88 @@ function formatTime(timestamp) {
   return date.toLocaleString();
 }
 
+function formatSeconds(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds)));
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatRange(file) {
+  if (file?.startSeconds == null || file?.endSeconds == null) return '';
+  return ` (${formatSeconds(file.startSeconds)}–${formatSeconds(file.endSeconds)})`;
+}
+
+const TIER_LABELS = {
+  identical: 'Identical',
+  likely_duplicate: 'Likely duplicate',
+  possible: 'Possible'
+};
+
+const STATUS_LABELS = {
+  open: 'Open',
+  confirmed_duplicate: 'Confirmed duplicate',
+  false_positive: 'False positive',
+  dismissed: 'Dismissed'
+};
+
+function formatStatus(warning) {
+  const label = STATUS_LABELS[warning.status] || STATUS_LABELS.open;
+  if (!warning.review) return label;
+  return `${label} (${warning.review.reviewer})`;
+}
+
+function formatMatch(warning) {
+  if (warning.matchKind === 'excerpt_of') return 'A is excerpt of B';
+  return 'Similar';
+}
+
+function FileCell({ file, showRange }) {
+  if (!file?.filename) return '-';
+
+  return (
+    <div className="file-cell">
+      <span>
+        {file.filename}
+        {showRange && formatRange(file)}
+      </span>
+      {file.id && (
+        <div className="file-player">
+          <audio controls preload="none" src={getAudioContentUrl(file.id)} />
+          <a href={getAudioContentUrl(file.id, { download: true })}>Download</a>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function getKey(warning, index) {
   return warning.id || `${warning.file1?.id}-${warning.file2?.id}-${index}`;
 }
 
-export default function WarningList({ title, warnings, emptyMessage }) {
+export default function WarningList({
+  title,
+  warnings,
+  emptyMessage,
+  total,
+  hasMore = false,
+  onLoadMore
+}) {
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  async function handleLoadMore() {
+    setLoadingMore(true);
+    try {
+      await onLoadMore();
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
   return (
     <section className="panel">
       <div className="panel-head">
         <h2>{title}</h2>
-        <span className="badge">{warnings.length}</span>
+        <span className="badge">{total ?? warnings.length}</span>
       </div>
 
       {warnings.length === 0 ? (
@@ -25,8 +102,12 @@ export default function WarningList({ title, warnings, emptyMessage }) {
             <thead>
               <tr>
                 <th>Similarity</th>
+                <th>Tier</th>
+                <th>Match</th>
                 <th>File A</th>
                 <th>File B</th>
+                <th>Keep</th>
+                <th>Status</th>
                 <th>Detected</th>
               </tr>
             </thead>
@@ -34,8 +115,24 @@ export default function WarningList({ title, warnings, emptyMessage }) {
               {warnings.map((warning, index) => (
                 <tr key={getKey(warning, index)}>
                   <td>{Number(warning.similarityPercent).toFixed(2)}%</td>
-                  <td>{warning.file1?.filename || '-'}</td>
-                  <td>{warning.file2?.filename || '-'}</td>
+                  <td>{TIER_LABELS[warning.tier] || '-'}</td>
+                  <td>{formatMatch(warning)}</td>
+                  <td>
+                    <FileCell
+                      file={warning.file1}
+                      showRange={warning.matchKind === 'excerpt_of'}
+                    />
+                  </td>
+                  <td>
+                    <FileCell
+                      file={warning.file2}
+                      showRange={warning.matchKind === 'excerpt_of'}
+                    />
+                  </td>
+                  <td title={warning.recommendation?.reasons?.join(', ') || ''}>
+                    {warning.recommendation?.keepFilename || '-'}
+                  </td>
+                  <td title={warning.review?.note || ''}>{formatStatus(warning)}</td>
                   <td>{formatTime(warning.detectedAt)}</td>
                 </tr>
               ))}
@@ -43,6 +140,17 @@ export default function WarningList({ title, warnings, emptyMessage }) {
           </table>
         </div>
       )}
+
+      {hasMore && onLoadMore && (
+        <div className="load-more">
+          <span className="muted small">
+            Showing {warnings.length} of {total}
+          </span>
+          <button type="button" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </section>
   );
 }
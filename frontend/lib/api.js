@@ -24,7 +24,47 @@ export async function checkBackendHealth() {
   return response.json();
 }
 
+// WebCrypto cannot hash incrementally, so larger files skip the pre-upload check
+// instead of being read into memory whole
+const HASH_CHECK_MAX_BYTES = 256 * 1024 * 1024;
+
+async function hashFile(file) {
+  // WebCrypto is only available in secure contexts (https or localhost)
+  if (!globalThis.crypto?.subtle) return null;
+  if (file.size > HASH_CHECK_MAX_BYTES) return null;
+
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export async function checkDuplicate(sha256, size) {
+  const response = await fetch(`${API_BASE_URL}/upload/check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sha256, size })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Duplicate check failed (${response.status})`);
+  }
+
+  return response.json();
+}
+
 export async function uploadAudioFile(file) {
+  // Skip the transfer when the server already has these exact bytes
+  try {
+    const sha256 = await hashFile(file);
+    if (sha256) {
+      const check = await checkDuplicate(sha256, file.size);
+      if (check?.duplicate) return check;
+    }
+  } catch {
+    // Fall back to a normal upload; the server still rejects duplicates
+  }
+
   const formData = new FormData();
   formData.append('audio', file);
 
@@ -47,8 +87,34 @@ export async function uploadAudioFile(file) {
   return payload;
 }
 
-export async function fetchAllWarnings() {
-  const response = await fetch(`${API_BASE_URL}/upload/warnings`, {
+export function getAudioContentUrl(audioId, { download = false } = {}) {
+  const url = `${API_BASE_URL}/audio/${audioId}/content`;
+  return download ? `${url}?download=1` : url;
+}
+
+function toQueryString(params = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      search.set(key, String(value));
+    }
+  }
+  const query = search.toString();
+  return query ? `?${query}` : '';
+}
+
+function toWarningPage(payload) {
+  return {
+    warnings: payload?.warnings || [],
+    total: payload?.total ?? 0,
+    nextCursor: payload?.nextCursor || null
+  };
+}
+
+// params: cursor, limit, sort (newest | similarity), status, minSimilarity,
+// maxSimilarity, detectedFrom, detectedTo, q
+export async function fetchAllWarnings(params = {}) {
+  const response = await fetch(`${API_BASE_URL}/upload/warnings${toQueryString(params)}`, {
     cache: 'no-store'
   });
 
@@ -56,38 +122,135 @@ export async function fetchAllWarnings() {
     throw new Error(`Failed to fetch warnings (${response.status})`);
   }
 
-  const payload = await response.json();
-  return payload?.warnings || [];
+  return toWarningPage(await response.json());
 }
 
-export async function fetchWarningsForAudio(audioId) {
-  const response = await fetch(`${API_BASE_URL}/upload/${audioId}/warnings`, {
+export async function fetchWarningsForAudio(audioId, params = {}) {
+  const response = await fetch(
+    `${API_BASE_URL}/upload/${audioId}/warnings${toQueryString(params)}`,
+    { cache: 'no-store' }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch warnings for ${audioId}`);
+  }
+
+  return toWarningPage(await response.json());
+}
+
+// similarityStatus, BullMQ job state, timings and last error of one upload
+export async function fetchProcessingStatus(audioId) {
+  const response = await fetch(`${API_BASE_URL}/upload/${audioId}/status`, {
     cache: 'no-store'
   });
 
   if (!response.ok) {
-    throw new Error(`Failed to fetch warnings for ${audioId}`);
+    throw new Error(`Failed to fetch processing status for ${audioId}`);
   }
 
-  const payload = await response.json();
-  return payload?.warnings || [];
+  return response.json();
 }
 
-export function subscribeToWarnings(audioId, handlers = {}) {
-  const source = new EventSource(`${API_BASE_URL}/upload/${audioId}/subscribe`);
-
-  source.onmessage = event => {
-    try {
-      const data = JSON.parse(event.data);
-      handlers.onMessage?.(data);
-    } catch (error) {
-      handlers.onError?.(error);
+// Files whose fingerprinting failed after all retries
+export async function fetchFailedAudio(params = {}) {
+  const response = await fetch(`${API_BASE_URL}/audio/failed${toQueryString(params)}`, {
+    cache: 'no-store'
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch failed files (${response.status})`);
+  }
+
+  return response.json();
+}
+
+export async function retryAllFailed() {
+  const response = await fetch(`${API_BASE_URL}/audio/failed/retry`, { method: 'POST' });
+  const payload = await parseJson(response);
+
+  if (!response.ok) {
+    throw new Error(payload?.error || 'Retry failed');
+  }
+
+  return payload;
+}
+
+export async function reprocessAudio(audioId) {
+  const response = await fetch(`${API_BASE_URL}/audio/${audioId}/reprocess`, {
+    method: 'POST'
+  });
+  const payload = await parseJson(response);
+
+  if (!response.ok) {
+    throw new Error(payload?.error || 'Reprocess failed');
+  }
+
+  return payload;
+}
+
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// Resubscribes with exponential backoff after the stream drops; the last event id
+// is passed along so the backend replays whatever was missed in between.
+// handlers: onMessage(data), onOpen(), onReconnecting(delayMs), onError(error)
+function openEventStream(path, params, handlers) {
+  let source = null;
+  let lastEventId = '';
+  let attempt = 0;
+  let retryTimer = null;
+  let closed = false;
+
+  function connect() {
+    const query = toQueryString({ ...params, lastEventId });
+    source = new EventSource(`${API_BASE_URL}${path}${query}`);
+
+    source.onopen = () => {
+      attempt = 0;
+      handlers.onOpen?.();
+    };
+
+    source.onmessage = event => {
+      if (event.lastEventId) {
+        lastEventId = event.lastEventId;
+      }
+
+      try {
+        const data = JSON.parse(event.data);
+        handlers.onMessage?.(data);
+      } catch (error) {
+        handlers.onError?.(error);
+      }
+    };
+
+    source.onerror = () => {
+      source.close();
+      if (closed) return;
+
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** attempt, RECONNECT_MAX_DELAY_MS);
+      attempt += 1;
+
+      handlers.onReconnecting?.(delay);
+      retryTimer = setTimeout(connect, delay);
+    };
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
     }
   };
+}
 
-  source.onerror = () => {
-    handlers.onError?.(new Error('SSE connection dropped'));
-  };
+export function subscribeToWarnings(audioId, handlers = {}) {
+  return openEventStream(`/upload/${audioId}/subscribe`, {}, handlers);
+}
 
-  return source;
+// filters: audioIds (array), types (array), minSimilarity
+export function subscribeToEvents(filters = {}, handlers = {}) {
+  return openEventStream('/events', filters, handlers);
 }